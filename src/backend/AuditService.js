@@ -0,0 +1,434 @@
+/**
+ * @fileoverview Audit log service for NAHS Caseload Counts application.
+ * 
+ * Records user activity (web app access, data access, denied requests, cache
+ * clears and administrative actions) to an append-only audit sheet so the district
+ * can show who viewed student records. Entries are buffered during a request and
+ * written in one batch under the script lock, or appended row by row when the
+ * lock stays busy. When a new month starts, the current audit sheet is renamed
+ * to a monthly tab and a fresh sheet is created. The audit spreadsheet is pinned
+ * on first use so the log stays in one place after the data spreadsheet changes.
+ * 
+ * @namespace AuditService
+ * @requires CONFIG - Application configuration constants
+ * @requires AppLogger - Application logging service
+ * @requires LockService - Google Apps Script lock service
+ * @requires PropertiesService - Google Apps Script properties service
+ * @requires SpreadsheetApp - Google Apps Script spreadsheet service
+ * 
+ * @author Alvaro Gomez, Academic Technology Coach
+ * @version 1.0.0
+ * @since 08-06-2025
+ */
+
+/**
+ * Audit service class for buffering and persisting user activity entries.
+ * 
+ * @class AuditService
+ * @classdesc Writes user activity to an append-only audit sheet with monthly rollover
+ */
+class AuditService {
+  /**
+   * Create an AuditService instance.
+   * Entries are buffered in memory until flush() is called.
+   * 
+   * @constructor
+   */
+  constructor() {
+    this.buffer = [];
+  }
+
+  /**
+   * Add an activity entry to the audit buffer.
+   * The buffer is written automatically once it reaches CONFIG.AUDIT.BATCH_SIZE entries;
+   * API functions call flush() before returning to write the rest.
+   * 
+   * @param {Object} entry - Activity entry
+   * @param {string} entry.timestamp - ISO timestamp of the activity
+   * @param {string} entry.user - Email of the user
+   * @param {string} entry.action - Action performed (e.g. 'data_access')
+   * @param {Array<string>} [entry.campuses=[]] - Campuses the user had access to
+   * @param {Object} [entry.details={}] - Additional details about the action
+   * @param {string} entry.sessionId - Logger session identifier
+   * @param {string} entry.requestId - Request correlation ID (see AppLogger.beginRequest)
+   * @returns {void}
+   * 
+   * @example
+   * auditService.record({
+   *   timestamp: new Date().toISOString(),
+   *   user: 'user@nisd.net',
+   *   action: 'data_access',
+   *   details: { result: 'success', rowCount: 42 },
+   *   sessionId: AppLogger.sessionId,
+   *   requestId: getRequestId()
+   * });
+   */
+  record(entry) {
+    this.buffer.push(entry);
+
+    if (this.buffer.length >= CONFIG.AUDIT.BATCH_SIZE) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Write all buffered entries to the audit sheet.
+   * Waits up to CONFIG.AUDIT.LOCK_TIMEOUT_MS for the script lock and writes the
+   * entries in one batch. flush() is the last call of every API function, so if the
+   * lock stays busy the entries are appended one row at a time with appendRow(),
+   * which is atomic, instead of being left in the buffer. Never throws; write
+   * errors are logged.
+   * 
+   * @returns {boolean} True if the buffer is empty after the call
+   * 
+   * @example
+   * try {
+   *   // ... API work that records activity ...
+   * } finally {
+   *   auditService.flush();
+   * }
+   */
+  flush() {
+    if (this.buffer.length === 0) {
+      return true;
+    }
+
+    const lock = LockService.getScriptLock();
+    let locked = false;
+    try {
+      lock.waitLock(CONFIG.AUDIT.LOCK_TIMEOUT_MS);
+      locked = true;
+    } catch (error) {
+      logWarn('Could not obtain lock to write audit entries, appending rows individually', {
+        pendingEntries: this.buffer.length
+      }, 'AuditService.flush');
+    }
+
+    try {
+      const startTime = new Date();
+      const rows = this.buffer.map(entry => this.toRow(entry));
+
+      if (locked) {
+        const sheet = this.getAuditSheet();
+        sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, CONFIG.AUDIT.HEADERS.length).setValues(rows);
+      } else {
+        // Without the lock, skip the monthly rollover; the next locked flush performs it
+        const sheet = this.getAuditSpreadsheet().getSheetByName(CONFIG.AUDIT.SHEET_NAME) ||
+          this.getAuditSheet();
+        rows.forEach(row => sheet.appendRow(row));
+      }
+      this.buffer = [];
+
+      logDebug('Audit entries written', { entryCount: rows.length, locked }, 'AuditService.flush');
+      logPerformance('AuditService.flush', startTime);
+      return true;
+    } catch (error) {
+      logError('Failed to write audit entries', {
+        error: error.message,
+        pendingEntries: this.buffer.length
+      }, 'AuditService.flush');
+      return false;
+    } finally {
+      if (locked) {
+        lock.releaseLock();
+      }
+    }
+  }
+
+  /**
+   * Query audit entries with filtering and pagination.
+   * Reads the current audit sheet and any monthly tabs that overlap the date range,
+   * and returns matching entries newest first.
+   * 
+   * @param {Object} [filters={}] - Query filters
+   * @param {string} [filters.user] - Case-insensitive match on part of the user's email
+   * @param {string} [filters.campus] - Campus the user had access to
+   * @param {string} [filters.action] - Exact action name
+   * @param {string} [filters.requestId] - Exact request ID, such as an error ID reported by a user
+   * @param {string} [filters.startDate] - First day to include (yyyy-MM-dd)
+   * @param {string} [filters.endDate] - Last day to include (yyyy-MM-dd)
+   * @param {number} [filters.page=1] - Page number (1-based)
+   * @param {number} [filters.pageSize] - Entries per page, capped at CONFIG.PAGINATION.MAX_PAGE_SIZE
+   * @param {boolean} [filters.all=false] - Return every matching entry (used for export)
+   * @returns {Object} Query result
+   * @returns {Array<Object>} return.entries - Matching entries for the requested page
+   * @returns {number} return.totalEntries - Number of entries matching the filters
+   * @returns {number} return.page - Page returned
+   * @returns {number} return.pageSize - Page size used
+   * @returns {number} return.totalPages - Number of pages available
+   * @throws {Error} If the audit spreadsheet cannot be read
+   * 
+   * @example
+   * const result = auditService.query({ campus: 'Clark', action: 'data_access', page: 2 });
+   * console.log(`${result.totalEntries} matching entries`);
+   */
+  query(filters = {}) {
+    try {
+      const startTime = new Date();
+      const startDate = this.parseFilterDate(filters.startDate, false);
+      const endDate = this.parseFilterDate(filters.endDate, true);
+      const user = (filters.user || '').trim().toLowerCase();
+      const campus = (filters.campus || '').trim().toLowerCase();
+      const action = (filters.action || '').trim();
+      const requestId = (filters.requestId || '').trim();
+
+      const matches = [];
+      this.getAuditSheetsForRange(startDate, endDate).forEach(sheet => {
+        sheet.getDataRange().getValues().slice(1).forEach(row => {
+          const entry = this.fromRow(row);
+          if (!entry) return;
+          if (startDate && entry.date < startDate) return;
+          if (endDate && entry.date > endDate) return;
+          if (user && !entry.user.toLowerCase().includes(user)) return;
+          if (action && entry.action !== action) return;
+          if (requestId && entry.requestId !== requestId) return;
+          if (campus && !entry.campuses.some(name => name.toLowerCase() === campus)) return;
+          matches.push(entry);
+        });
+      });
+
+      matches.sort((a, b) => b.date.getTime() - a.date.getTime());
+
+      const totalEntries = matches.length;
+      const pageSize = filters.all ? Math.max(totalEntries, 1) : Math.min(
+        Math.max(parseInt(filters.pageSize, 10) || CONFIG.PAGINATION.DEFAULT_PAGE_SIZE, 1),
+        CONFIG.PAGINATION.MAX_PAGE_SIZE
+      );
+      const totalPages = Math.max(Math.ceil(totalEntries / pageSize), 1);
+      const page = Math.min(Math.max(parseInt(filters.page, 10) || 1, 1), totalPages);
+
+      const entries = matches.slice((page - 1) * pageSize, page * pageSize).map(entry => {
+        const { date, ...rest } = entry;
+        return rest;
+      });
+
+      logPerformance('AuditService.query', startTime);
+      return { entries, totalEntries, page, pageSize, totalPages };
+    } catch (error) {
+      logError('Failed to query audit log', { error: error.message }, 'AuditService.query');
+      throw createError(ERROR_MESSAGES.DATA_LOAD_ERROR, error, 'AuditService.query');
+    }
+  }
+
+  /**
+   * Get the audit sheets that may contain entries in a date range.
+   * 
+   * @param {Date|null} startDate - Start of the range, or null for no lower bound
+   * @param {Date|null} endDate - End of the range, or null for no upper bound
+   * @returns {Array<GoogleAppsScript.Spreadsheet.Sheet>} Current sheet and matching monthly tabs
+   * 
+   * @private
+   */
+  getAuditSheetsForRange(startDate, endDate) {
+    const startMonth = startDate ? this.getMonthKey(startDate) : null;
+    const endMonth = endDate ? this.getMonthKey(endDate) : null;
+    const archivePattern = new RegExp(`^${CONFIG.AUDIT.SHEET_NAME} (\\d{4}-\\d{2})( \\(\\d+\\))?$`);
+
+    return this.getAuditSpreadsheet().getSheets().filter(sheet => {
+      const name = sheet.getName();
+      if (name === CONFIG.AUDIT.SHEET_NAME) {
+        return true;
+      }
+
+      const match = name.match(archivePattern);
+      if (!match) {
+        return false;
+      }
+
+      return (!startMonth || match[1] >= startMonth) && (!endMonth || match[1] <= endMonth);
+    });
+  }
+
+  /**
+   * Parse a yyyy-MM-dd filter date in the script's local time.
+   * 
+   * @param {string} value - Date string from the filter form
+   * @param {boolean} endOfDay - Whether to return the last millisecond of the day
+   * @returns {Date|null} Parsed date, or null if empty or invalid
+   * 
+   * @private
+   */
+  parseFilterDate(value, endOfDay) {
+    const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) {
+      return null;
+    }
+
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    if (endOfDay) {
+      date.setHours(23, 59, 59, 999);
+    }
+    return date;
+  }
+
+  /**
+   * Convert an audit sheet row back to an entry object.
+   * 
+   * @param {Array<*>} row - Row values in CONFIG.AUDIT.HEADERS order
+   * @returns {Object|null} Entry with a Date in `date`, or null for rows without a valid timestamp
+   * 
+   * @private
+   */
+  fromRow(row) {
+    if (!DateUtils.isValidDate(row[0]) || row[0] === '') {
+      return null;
+    }
+
+    const date = row[0] instanceof Date ? row[0] : new Date(row[0]);
+    return {
+      date: date,
+      timestamp: date.toISOString(),
+      user: String(row[1]),
+      action: String(row[2]),
+      campuses: String(row[3]).split(',').map(name => name.trim()).filter(Boolean),
+      details: String(row[4]),
+      sessionId: String(row[5]),
+      outcome: String(row[6]),
+      requestId: row[7] === undefined ? '' : String(row[7])
+    };
+  }
+
+  /**
+   * Convert an activity entry to an audit sheet row.
+   * 
+   * @param {Object} entry - Activity entry (see record())
+   * @returns {Array<*>} Row values in CONFIG.AUDIT.HEADERS order
+   * 
+   * @private
+   */
+  toRow(entry) {
+    const details = entry.details || {};
+    const outcome = details.result || (entry.action === 'access_denied' ? 'denied' : 'success');
+
+    return [
+      new Date(entry.timestamp),
+      entry.user || '',
+      entry.action,
+      (entry.campuses || []).join(', '),
+      JSON.stringify(details),
+      entry.sessionId || '',
+      outcome,
+      entry.requestId || ''
+    ];
+  }
+
+  /**
+   * Open the spreadsheet holding the audit log.
+   * 
+   * @returns {GoogleAppsScript.Spreadsheet.Spreadsheet} Audit spreadsheet
+   * 
+   * @private
+   */
+  getAuditSpreadsheet() {
+    return SpreadsheetApp.openById(this.pinSpreadsheet());
+  }
+
+  /**
+   * Get the audit spreadsheet ID, pinning the current data spreadsheet the first time
+   * when CONFIG.AUDIT.SPREADSHEET_ID is not set. Later data spreadsheet switches then
+   * leave the audit log where it is.
+   * 
+   * @returns {string} Audit spreadsheet ID
+   */
+  pinSpreadsheet() {
+    if (CONFIG.AUDIT.SPREADSHEET_ID) {
+      return CONFIG.AUDIT.SPREADSHEET_ID;
+    }
+
+    const properties = PropertiesService.getScriptProperties();
+    const existing = properties.getProperty(CONFIG.AUDIT.SPREADSHEET_PROPERTY);
+    if (existing) {
+      return existing;
+    }
+
+    const spreadsheetId = CONFIG.SPREADSHEET.SPREADSHEET_ID;
+    properties.setProperty(CONFIG.AUDIT.SPREADSHEET_PROPERTY, spreadsheetId);
+    logInfo('Audit spreadsheet pinned', { spreadsheetId }, 'AuditService.pinSpreadsheet');
+    return spreadsheetId;
+  }
+
+  /**
+   * Get the audit sheet for the current month, creating or rolling it over as needed.
+   * Must be called while holding the script lock.
+   * 
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} Sheet that new entries are appended to
+   * 
+   * @private
+   */
+  getAuditSheet() {
+    const spreadsheet = this.getAuditSpreadsheet();
+    let sheet = spreadsheet.getSheetByName(CONFIG.AUDIT.SHEET_NAME);
+
+    if (sheet && sheet.getLastRow() > 1) {
+      const firstTimestamp = sheet.getRange(2, 1).getValue();
+      const entryMonth = this.getMonthKey(firstTimestamp);
+
+      if (entryMonth && entryMonth !== this.getMonthKey(new Date())) {
+        const archiveName = this.getArchiveSheetName(spreadsheet, entryMonth);
+        sheet.setName(archiveName);
+        logInfo('Audit log rolled over to monthly tab', { archiveName }, 'AuditService.getAuditSheet');
+        sheet = null;
+      }
+    }
+
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(CONFIG.AUDIT.SHEET_NAME);
+      sheet.getRange(1, 1, 1, CONFIG.AUDIT.HEADERS.length)
+        .setValues([CONFIG.AUDIT.HEADERS])
+        .setFontWeight('bold');
+      sheet.setFrozenRows(1);
+      logInfo('Audit sheet created', { sheetName: CONFIG.AUDIT.SHEET_NAME }, 'AuditService.getAuditSheet');
+    } else if (sheet.getLastColumn() < CONFIG.AUDIT.HEADERS.length) {
+      // Sheet created before columns were added to CONFIG.AUDIT.HEADERS
+      sheet.getRange(1, 1, 1, CONFIG.AUDIT.HEADERS.length)
+        .setValues([CONFIG.AUDIT.HEADERS])
+        .setFontWeight('bold');
+    }
+
+    return sheet;
+  }
+
+  /**
+   * Get the yyyy-MM month key for a timestamp in the script time zone.
+   * 
+   * @param {Date|string} value - Timestamp cell value
+   * @returns {string|null} Month key, or null if the value is not a valid date
+   * 
+   * @private
+   */
+  getMonthKey(value) {
+    if (!DateUtils.isValidDate(value)) {
+      return null;
+    }
+    return DateUtils.formatDate(value instanceof Date ? value : new Date(value), 'yyyy-MM');
+  }
+
+  /**
+   * Build a unique name for a monthly archive tab.
+   * 
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - Audit spreadsheet
+   * @param {string} monthKey - Month in yyyy-MM format
+   * @returns {string} Sheet name such as "Audit Log 2025-09"
+   * 
+   * @private
+   */
+  getArchiveSheetName(spreadsheet, monthKey) {
+    const baseName = `${CONFIG.AUDIT.SHEET_NAME} ${monthKey}`;
+    let name = baseName;
+    let suffix = 2;
+
+    while (spreadsheet.getSheetByName(name)) {
+      name = `${baseName} (${suffix++})`;
+    }
+
+    return name;
+  }
+}
+
+/**
+ * Global AuditService instance for application-wide use.
+ * 
+ * @type {AuditService}
+ * @global
+ */
+var auditService = new AuditService();
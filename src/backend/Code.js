@@ -32,6 +32,7 @@
  * // No direct invocation needed - handled by Google Apps Script runtime
  */
 function doGet() {
+  beginRequest('doGet');
   try {
     // First, try to create the basic HTML output
     const htmlOutput = HtmlService.createHtmlOutputFromFile('Index')
@@ -100,6 +101,9 @@ function doGet() {
         </body>
       </html>
     `).setTitle('Application Error - Debug Info');
+  } finally {
+    auditService.flush();
+    endRequest();
   }
 }
 
@@ -125,6 +129,7 @@ function doGet() {
  *   .filterCaseloadData();
  */
 function filterCaseloadData() {
+  beginRequest('filterCaseloadData');
   const startTime = new Date();
   let userEmail = null;
   
@@ -145,14 +150,14 @@ function filterCaseloadData() {
       return JSON.stringify([]);
     }
     
-    // Get user permissions
-    const permissions = userService.getUserPermissions(userEmail);
-    if (!permissions.hasAccess) {
+    // Check that the user may view data (denials are logged by authorize)
+    if (!userService.authorize(userEmail, CAPABILITIES.VIEW_DATA)) {
       logInfo('User has no access permissions', { userEmail }, 'filterCaseloadData');
-      userService.logUserActivity(userEmail, 'access_denied', { reason: 'no_permissions' });
       return JSON.stringify([]);
     }
     
+    const permissions = userService.getUserPermissions(userEmail);
+    
     logDebug('User permissions verified', {
       campusCount: permissions.campuses.length,
       isFullAccess: permissions.isFullAccess
@@ -204,6 +209,173 @@ function filterCaseloadData() {
     
     // Return empty array for any errors to prevent breaking the UI
     return JSON.stringify([]);
+  } finally {
+    auditService.flush();
+    endRequest();
+  }
+}
+
+/**
+ * Search, sort and page the current user's caseload data on the server.
+ * Only one page of rows is sent to the browser, so large caseloads stay fast.
+ *
+ * @param {Object} [query={}] - Query options
+ * @param {string} [query.search] - Text matched against every visible column
+ * @param {Array<Object>} [query.sort] - Sort keys as { column, direction: 'asc'|'desc' }, in priority order
+ * @param {Object<string, string>} [query.filters] - Exact values by column header (e.g. { 'HOME CAMPUS': 'Clark' })
+ * @param {boolean} [query.needsAttention] - Only rows that are overdue, due soon or missing dates
+ * @param {number} [query.page=1] - Page number
+ * @param {number} [query.pageSize] - Rows per page (capped at CONFIG.PAGINATION.MAX_PAGE_SIZE)
+ * @returns {Object} Success response whose data holds headers, rows and paging totals, or an error response
+ *
+ * @example
+ * google.script.run
+ *   .withSuccessHandler(response => console.log(response.data.rows))
+ *   .queryCaseload({ search: 'smith', sort: [{ column: 'GRADE', direction: 'asc' }], page: 1 });
+ */
+function queryCaseload(query = {}) {
+  beginRequest('queryCaseload');
+  const startTime = new Date();
+  let userEmail = null;
+
+  try {
+    userEmail = userService.getCurrentUserEmail();
+
+    if (!userService.validateUserEmail(userEmail) ||
+        !userService.authorize(userEmail, CAPABILITIES.VIEW_DATA)) {
+      return ErrorUtils.createErrorResponse(ERROR_MESSAGES.ACCESS_DENIED, null, 'queryCaseload');
+    }
+
+    const options = query || {};
+    const data = dataService.getCachedDataForUser(userEmail);
+    const result = dataService.queryData(data, options);
+
+    userService.logUserActivity(userEmail, 'data_access', {
+      result: 'success',
+      page: result.page,
+      rowCount: result.rows.length,
+      matchingRecords: result.matchingRecords
+    });
+
+    logPerformance('queryCaseload (complete)', startTime);
+    return ErrorUtils.createSuccessResponse(result, 'Caseload data loaded');
+
+  } catch (error) {
+    const errorResponse = ErrorUtils.handleException(error, 'queryCaseload');
+
+    if (userEmail) {
+      userService.logUserActivity(userEmail, 'data_access', {
+        result: 'error',
+        errorId: errorResponse.errorId
+      });
+    }
+
+    return errorResponse;
+  } finally {
+    auditService.flush();
+    endRequest();
+  }
+}
+
+/**
+ * Export every row matching a caseload query (requires the export capability).
+ *
+ * @param {Object} [query={}] - Search, sort and filter options (see queryCaseload); paging is ignored
+ * @returns {Object} Success response whose data is a 2D array including headers, or an error response
+ *
+ * @example
+ * google.script.run
+ *   .withSuccessHandler(response => downloadCSV(convertToCSV(response.data), 'caseload.csv'))
+ *   .exportCaseload({ filters: { 'HOME CAMPUS': 'Clark' } });
+ */
+function exportCaseload(query = {}) {
+  beginRequest('exportCaseload');
+  let userEmail = null;
+
+  try {
+    userEmail = userService.getCurrentUserEmail();
+
+    if (!userService.validateUserEmail(userEmail) ||
+        !userService.authorize(userEmail, CAPABILITIES.EXPORT)) {
+      return ErrorUtils.createErrorResponse(ERROR_MESSAGES.ACCESS_DENIED, null, 'exportCaseload');
+    }
+
+    const data = dataService.searchData(dataService.getCachedDataForUser(userEmail), query || {});
+
+    userService.logUserActivity(userEmail, 'data_export', {
+      result: 'success',
+      rowCount: Math.max(data.length - 1, 0)
+    });
+
+    return ErrorUtils.createSuccessResponse(data, 'Caseload data exported');
+
+  } catch (error) {
+    const errorResponse = ErrorUtils.handleException(error, 'exportCaseload');
+
+    if (userEmail) {
+      userService.logUserActivity(userEmail, 'data_export', {
+        result: 'error',
+        errorId: errorResponse.errorId
+      });
+    }
+
+    return errorResponse;
+  } finally {
+    auditService.flush();
+    endRequest();
+  }
+}
+
+/**
+ * Get student counts per campus for the current user's campuses.
+ * Counts are also broken down by each column in CONFIG.SPREADSHEET.COUNT_GROUP_COLUMNS.
+ *
+ * @returns {Object} Success response whose data holds the counts summary, or an error response
+ * @returns {number} response.data.totalStudents - Students across the user's campuses
+ * @returns {Object<string, number>} response.data.byCampus - Student count per campus
+ * @returns {Object<string, Object>} response.data.groups - Counts per grouping column value, overall and per campus
+ *
+ * @example
+ * google.script.run
+ *   .withSuccessHandler(response => console.log(response.data.byCampus))
+ *   .getCaseloadCounts();
+ */
+function getCaseloadCounts() {
+  beginRequest('getCaseloadCounts');
+  let userEmail = null;
+
+  try {
+    userEmail = userService.getCurrentUserEmail();
+
+    if (!userService.validateUserEmail(userEmail) ||
+        !userService.authorize(userEmail, CAPABILITIES.VIEW_DATA)) {
+      return ErrorUtils.createErrorResponse(ERROR_MESSAGES.ACCESS_DENIED, null, 'getCaseloadCounts');
+    }
+
+    const counts = dataService.getCachedCountsForUser(userEmail);
+
+    userService.logUserActivity(userEmail, 'counts_access', {
+      result: 'success',
+      totalStudents: counts.totalStudents,
+      campusCount: counts.campuses.length
+    });
+
+    return ErrorUtils.createSuccessResponse(counts, 'Caseload counts loaded');
+
+  } catch (error) {
+    const errorResponse = ErrorUtils.handleException(error, 'getCaseloadCounts');
+
+    if (userEmail) {
+      userService.logUserActivity(userEmail, 'counts_access', {
+        result: 'error',
+        errorId: errorResponse.errorId
+      });
+    }
+
+    return errorResponse;
+  } finally {
+    auditService.flush();
+    endRequest();
   }
 }
 
@@ -213,12 +385,13 @@ function filterCaseloadData() {
  * @returns {Object} User information summary
  */
 function getUserInfo(email = null) {
+  beginRequest('getUserInfo');
   try {
     const targetEmail = email || userService.getCurrentUserEmail();
     
-    // Only allow this function for users with full access
+    // Only allow this function for users who can view diagnostics
     const currentUserEmail = userService.getCurrentUserEmail();
-    if (!userService.hasFullAccess(currentUserEmail)) {
+    if (!userService.authorize(currentUserEmail, CAPABILITIES.VIEW_DIAGNOSTICS)) {
       return { error: 'Access denied - admin privileges required' };
     }
     
@@ -230,6 +403,8 @@ function getUserInfo(email = null) {
       targetUser: targetEmail 
     }, 'getUserInfo');
     
+    userService.logUserActivity(currentUserEmail, 'admin_user_info_viewed', { targetUser: targetEmail });
+    
     return {
       user: userSummary,
       dataStatistics: dataStats,
@@ -239,6 +414,140 @@ function getUserInfo(email = null) {
   } catch (error) {
     logError('Error getting user info', { error: error.message }, 'getUserInfo');
     return ErrorUtils.handleException(error, 'getUserInfo');
+  } finally {
+    auditService.flush();
+    endRequest();
+  }
+}
+
+/**
+ * Get audit log entries for the admin audit panel (admin function).
+ * Entries are filtered by user, campus, action and date range and returned newest first.
+ * 
+ * @param {Object} [filters={}] - Filters and paging options (see AuditService.query)
+ * @returns {Object} Success response whose data holds entries and paging info, or an error response
+ * 
+ * @example
+ * google.script.run
+ *   .withSuccessHandler(response => console.log(response.data.entries))
+ *   .getAuditLog({ campus: 'Clark', startDate: '2025-09-01', page: 1 });
+ */
+function getAuditLog(filters = {}) {
+  beginRequest('getAuditLog');
+  try {
+    const currentUserEmail = userService.getCurrentUserEmail();
+    
+    // Only allow this function for users who can view diagnostics
+    if (!userService.authorize(currentUserEmail, CAPABILITIES.VIEW_DIAGNOSTICS)) {
+      return ErrorUtils.createErrorResponse('Access denied - admin privileges required', null, 'getAuditLog');
+    }
+    
+    const options = filters || {};
+    const result = auditService.query(options);
+    
+    userService.logUserActivity(currentUserEmail, options.all ? 'admin_audit_log_exported' : 'admin_audit_log_viewed', {
+      filters: {
+        user: options.user || null,
+        campus: options.campus || null,
+        action: options.action || null,
+        requestId: options.requestId || null,
+        startDate: options.startDate || null,
+        endDate: options.endDate || null
+      },
+      resultCount: result.totalEntries
+    });
+    
+    return ErrorUtils.createSuccessResponse(result, 'Audit log loaded');
+    
+  } catch (error) {
+    logError('Error getting audit log', { error: error.message }, 'getAuditLog');
+    return ErrorUtils.handleException(error, 'getAuditLog');
+  } finally {
+    auditService.flush();
+    endRequest();
+  }
+}
+
+/**
+ * Get the campus data quality report (admin function): rows whose campus matches no
+ * campus in CONFIG.CAMPUSES or CONFIG.CAMPUS_ALIASES, and values that only matched
+ * after normalization. Unmatched rows are only included in the data of users with
+ * access to every campus; this report lists their sheet rows for everyone else.
+ * 
+ * @returns {Object} Success response with the report (see DataService.getCampusDataQuality), or an error response
+ * 
+ * @example
+ * google.script.run
+ *   .withSuccessHandler(response => console.log(response.data.unmatched))
+ *   .getCampusDataQuality();
+ */
+function getCampusDataQuality() {
+  beginRequest('getCampusDataQuality');
+  try {
+    const currentUserEmail = userService.getCurrentUserEmail();
+    
+    if (!userService.authorize(currentUserEmail, CAPABILITIES.VIEW_DIAGNOSTICS)) {
+      return ErrorUtils.createErrorResponse('Access denied - admin privileges required', null, 'getCampusDataQuality');
+    }
+    
+    const report = dataService.getCampusDataQuality();
+    
+    userService.logUserActivity(currentUserEmail, 'admin_data_quality_viewed', {
+      unmatchedRows: report.unmatchedRows,
+      unmatchedValues: report.unmatched.length
+    });
+    
+    return ErrorUtils.createSuccessResponse(report, 'Campus data quality report loaded');
+    
+  } catch (error) {
+    logError('Error getting campus data quality', { error: error.message }, 'getCampusDataQuality');
+    return ErrorUtils.handleException(error, 'getCampusDataQuality');
+  } finally {
+    auditService.flush();
+    endRequest();
+  }
+}
+
+/**
+ * Get the current user's role, capabilities and campuses for the web interface.
+ * Lets the front end decide which tools to show; every server function still
+ * performs its own authorization check. Also returns the compliance settings the
+ * legend describes, so it matches the server's status calculation, and the user's
+ * weekly digest preference.
+ * 
+ * @returns {Object} Success response with email, role, capabilities, campuses,
+ *   compliance ({ dueSoonDays }) and digest ({ recipient, optOut }), or an error response
+ * 
+ * @example
+ * google.script.run
+ *   .withSuccessHandler(response => console.log(response.data.capabilities))
+ *   .getCurrentUserProfile();
+ */
+function getCurrentUserProfile() {
+  beginRequest('getCurrentUserProfile');
+  try {
+    const userEmail = userService.getCurrentUserEmail();
+    const summary = userService.getUserSummary(userEmail);
+    
+    return ErrorUtils.createSuccessResponse({
+      email: userEmail,
+      role: summary.role || 'none',
+      capabilities: summary.capabilities || [],
+      campuses: summary.campuses || [],
+      compliance: {
+        dueSoonDays: CONFIG.COMPLIANCE.DUE_SOON_DAYS
+      },
+      digest: {
+        recipient: CONFIG.DIGEST.RECIPIENT_ROLES.includes(summary.role),
+        optOut: digestService.getOptOuts().includes(String(userEmail).toLowerCase())
+      }
+    }, 'User profile loaded');
+    
+  } catch (error) {
+    logError('Error getting user profile', { error: error.message }, 'getCurrentUserProfile');
+    return ErrorUtils.handleException(error, 'getCurrentUserProfile');
+  } finally {
+    endRequest();
   }
 }
 
@@ -247,6 +556,7 @@ function getUserInfo(email = null) {
  * @returns {Object} Operation result
  */
 function clearUserCache() {
+  beginRequest('clearUserCache');
   try {
     const userEmail = userService.getCurrentUserEmail();
     
@@ -267,6 +577,299 @@ function clearUserCache() {
   } catch (error) {
     logError('Error clearing user cache', { error: error.message }, 'clearUserCache');
     return ErrorUtils.handleException(error, 'clearUserCache');
+  } finally {
+    auditService.flush();
+    endRequest();
+  }
+}
+
+/**
+ * Trigger handler: rebuild the shared caseload caches during school hours.
+ * Installed by setCachePrewarmEnabled(true). The trailing underscore keeps it out of
+ * google.script.run, so web app users cannot force a full rebuild.
+ * @returns {Object} Pre-warm result (see TriggerService.runPrewarm)
+ */
+function prewarmCaches_() {
+  beginRequest('prewarmCaches_');
+  try {
+    return triggerService.runPrewarm();
+  } catch (error) {
+    logError('Cache pre-warm failed', { error: error.message }, 'prewarmCaches_');
+    return ErrorUtils.handleException(error, 'prewarmCaches_');
+  } finally {
+    endRequest();
+  }
+}
+
+/**
+ * Trigger handler: invalidate cached caseload data when the spreadsheet changes.
+ * Installed by setChangeDetectionEnabled(true). The trailing underscore keeps it out of
+ * google.script.run, so web app users cannot wipe everyone's caches.
+ * @param {Object} e - On-change event
+ */
+function onCaseloadChange_(e) {
+  beginRequest('onCaseloadChange_');
+  try {
+    triggerService.handleChange(e);
+  } catch (error) {
+    logError('Change detection failed', { error: error.message }, 'onCaseloadChange_');
+  } finally {
+    endRequest();
+  }
+}
+
+/**
+ * Get the status of the scheduled jobs and the project's triggers (admin function)
+ * @returns {Object} Success response with trigger status, or an error response
+ * 
+ * @example
+ * google.script.run
+ *   .withSuccessHandler(response => console.log(response.data.prewarm.enabled))
+ *   .getTriggerStatus();
+ */
+function getTriggerStatus() {
+  beginRequest('getTriggerStatus');
+  try {
+    const currentUserEmail = userService.getCurrentUserEmail();
+    
+    if (!userService.authorize(currentUserEmail, CAPABILITIES.MANAGE_CONFIG)) {
+      return ErrorUtils.createErrorResponse('Access denied - admin privileges required', null, 'getTriggerStatus');
+    }
+    
+    return ErrorUtils.createSuccessResponse(triggerService.getStatus(), 'Trigger status loaded');
+    
+  } catch (error) {
+    logError('Error getting trigger status', { error: error.message }, 'getTriggerStatus');
+    return ErrorUtils.handleException(error, 'getTriggerStatus');
+  } finally {
+    auditService.flush();
+    endRequest();
+  }
+}
+
+/**
+ * Turn the time-driven cache pre-warm on or off (admin function).
+ * The trigger runs as the admin who turns it on, so that account needs access
+ * to the caseload spreadsheet.
+ * 
+ * @param {boolean} enabled - True to install the pre-warm trigger, false to remove it
+ * @returns {Object} Success response with trigger status, or an error response
+ * 
+ * @example
+ * google.script.run
+ *   .withSuccessHandler(response => console.log(response.data.prewarm.enabled))
+ *   .setCachePrewarmEnabled(true);
+ */
+function setCachePrewarmEnabled(enabled) {
+  beginRequest('setCachePrewarmEnabled');
+  try {
+    const currentUserEmail = userService.getCurrentUserEmail();
+    
+    if (!userService.authorize(currentUserEmail, CAPABILITIES.MANAGE_CONFIG)) {
+      return ErrorUtils.createErrorResponse('Access denied - admin privileges required', null, 'setCachePrewarmEnabled');
+    }
+    
+    const status = triggerService.setPrewarmEnabled(enabled === true);
+    
+    userService.logUserActivity(currentUserEmail, 'admin_trigger_update', {
+      handler: CONFIG.TRIGGERS.PREWARM_HANDLER,
+      enabled: status.prewarm.enabled
+    });
+    
+    return ErrorUtils.createSuccessResponse(status, status.prewarm.enabled ? 'Cache pre-warm enabled' : 'Cache pre-warm disabled');
+    
+  } catch (error) {
+    logError('Error updating cache pre-warm trigger', { error: error.message }, 'setCachePrewarmEnabled');
+    return ErrorUtils.handleException(error, 'setCachePrewarmEnabled');
+  } finally {
+    auditService.flush();
+    endRequest();
+  }
+}
+
+/**
+ * Turn automatic cache invalidation on caseload spreadsheet edits on or off (admin function).
+ * Installs an on-change trigger on CONFIG.SPREADSHEET.SPREADSHEET_ID; saving a new spreadsheet
+ * in the runtime settings moves an installed trigger to the new sheet.
+ * 
+ * @param {boolean} enabled - True to install the on-change trigger, false to remove it
+ * @returns {Object} Success response with trigger status, or an error response
+ * 
+ * @example
+ * google.script.run
+ *   .withSuccessHandler(response => console.log(response.data.changeDetection.enabled))
+ *   .setChangeDetectionEnabled(true);
+ */
+function setChangeDetectionEnabled(enabled) {
+  beginRequest('setChangeDetectionEnabled');
+  try {
+    const currentUserEmail = userService.getCurrentUserEmail();
+    
+    if (!userService.authorize(currentUserEmail, CAPABILITIES.MANAGE_CONFIG)) {
+      return ErrorUtils.createErrorResponse('Access denied - admin privileges required', null, 'setChangeDetectionEnabled');
+    }
+    
+    const status = triggerService.setChangeDetectionEnabled(enabled === true);
+    
+    userService.logUserActivity(currentUserEmail, 'admin_trigger_update', {
+      handler: CONFIG.TRIGGERS.CHANGE_HANDLER,
+      enabled: status.changeDetection.enabled
+    });
+    
+    return ErrorUtils.createSuccessResponse(status, status.changeDetection.enabled ? 'Change detection enabled' : 'Change detection disabled');
+    
+  } catch (error) {
+    logError('Error updating change detection trigger', { error: error.message }, 'setChangeDetectionEnabled');
+    return ErrorUtils.handleException(error, 'setChangeDetectionEnabled');
+  } finally {
+    auditService.flush();
+    endRequest();
+  }
+}
+
+/**
+ * Trigger handler: email the weekly digest to campus coordinators.
+ * Installed by setWeeklyDigestEnabled(true). The trailing underscore keeps it
+ * out of google.script.run, so web app users cannot send the digest themselves.
+ * @returns {Object} Run summary (see DigestService.run)
+ */
+function sendWeeklyDigests_() {
+  beginRequest('sendWeeklyDigests_');
+  try {
+    return digestService.run();
+  } catch (error) {
+    logError('Weekly digest failed', { error: error.message }, 'sendWeeklyDigests_');
+    return ErrorUtils.handleException(error, 'sendWeeklyDigests_');
+  } finally {
+    auditService.flush();
+    endRequest();
+  }
+}
+
+/**
+ * Render the weekly digest without sending it (admin function).
+ * Nothing is emailed and nothing is written to the digest log.
+ *
+ * @param {string} [email=null] - Only preview the digest for this coordinator
+ * @returns {Object} Success response with the run summary, including rendered HTML, or an error response
+ *
+ * @example
+ * google.script.run
+ *   .withSuccessHandler(response => console.log(response.data.results.length))
+ *   .previewWeeklyDigest();
+ */
+function previewWeeklyDigest(email = null) {
+  beginRequest('previewWeeklyDigest');
+  try {
+    const currentUserEmail = userService.getCurrentUserEmail();
+
+    if (!userService.authorize(currentUserEmail, CAPABILITIES.MANAGE_CONFIG)) {
+      return ErrorUtils.createErrorResponse('Access denied - admin privileges required', null, 'previewWeeklyDigest');
+    }
+
+    const summary = digestService.run({ dryRun: true, email: email });
+
+    userService.logUserActivity(currentUserEmail, 'admin_digest_preview', {
+      email: email,
+      recipients: summary.results.length
+    });
+
+    return ErrorUtils.createSuccessResponse(summary, `Digest preview built for ${summary.results.length} recipients`);
+
+  } catch (error) {
+    logError('Error previewing weekly digest', { error: error.message }, 'previewWeeklyDigest');
+    return ErrorUtils.handleException(error, 'previewWeeklyDigest');
+  } finally {
+    auditService.flush();
+    endRequest();
+  }
+}
+
+/**
+ * Turn the weekly coordinator digest email on or off (admin function).
+ * Emails are sent from the account of the admin who turns it on.
+ *
+ * @param {boolean} enabled - True to install the weekly trigger, false to remove it
+ * @returns {Object} Success response with trigger status, or an error response
+ *
+ * @example
+ * google.script.run
+ *   .withSuccessHandler(response => console.log(response.data.digest.enabled))
+ *   .setWeeklyDigestEnabled(true);
+ */
+function setWeeklyDigestEnabled(enabled) {
+  beginRequest('setWeeklyDigestEnabled');
+  try {
+    const currentUserEmail = userService.getCurrentUserEmail();
+
+    if (!userService.authorize(currentUserEmail, CAPABILITIES.MANAGE_CONFIG)) {
+      return ErrorUtils.createErrorResponse('Access denied - admin privileges required', null, 'setWeeklyDigestEnabled');
+    }
+
+    const status = triggerService.setDigestEnabled(enabled === true);
+
+    userService.logUserActivity(currentUserEmail, 'admin_trigger_update', {
+      handler: CONFIG.DIGEST.HANDLER,
+      enabled: status.digest.enabled
+    });
+
+    return ErrorUtils.createSuccessResponse(status, status.digest.enabled ? 'Weekly digest enabled' : 'Weekly digest disabled');
+
+  } catch (error) {
+    logError('Error updating weekly digest trigger', { error: error.message }, 'setWeeklyDigestEnabled');
+    return ErrorUtils.handleException(error, 'setWeeklyDigestEnabled');
+  } finally {
+    auditService.flush();
+    endRequest();
+  }
+}
+
+/**
+ * Opt a user out of (or back into) the weekly digest.
+ * Users can change their own setting; changing someone else's needs the
+ * manage_permissions capability.
+ *
+ * @param {boolean} optOut - True to stop sending the digest
+ * @param {string} [email=null] - User to update (defaults to the current user)
+ * @returns {Object} Success response with { email, optOut }, or an error response
+ *
+ * @example
+ * google.script.run
+ *   .withSuccessHandler(response => console.log(response.message))
+ *   .setDigestOptOut(true);
+ */
+function setDigestOptOut(optOut, email = null) {
+  beginRequest('setDigestOptOut');
+  try {
+    const currentUserEmail = userService.getCurrentUserEmail();
+    const targetEmail = (email || currentUserEmail || '').trim().toLowerCase();
+
+    if (!targetEmail) {
+      throw new Error('Unable to identify current user');
+    }
+
+    if (targetEmail !== String(currentUserEmail).toLowerCase() && !userService.authorize(currentUserEmail, CAPABILITIES.MANAGE_PERMISSIONS)) {
+      return ErrorUtils.createErrorResponse('Access denied - admin privileges required', null, 'setDigestOptOut');
+    }
+
+    digestService.setOptOut(targetEmail, optOut === true);
+
+    userService.logUserActivity(currentUserEmail, 'digest_opt_out', {
+      email: targetEmail,
+      optOut: optOut === true
+    });
+
+    return ErrorUtils.createSuccessResponse(
+      { email: targetEmail, optOut: optOut === true },
+      optOut === true ? 'Weekly digest turned off' : 'Weekly digest turned on'
+    );
+
+  } catch (error) {
+    logError('Error updating digest opt-out', { error: error.message }, 'setDigestOptOut');
+    return ErrorUtils.handleException(error, 'setDigestOptOut');
+  } finally {
+    auditService.flush();
+    endRequest();
   }
 }
 
@@ -275,6 +878,7 @@ function clearUserCache() {
  * @returns {Object} Application health status
  */
 function healthCheck() {
+  beginRequest('healthCheck');
   try {
     const startTime = new Date();
     
@@ -342,6 +946,8 @@ function healthCheck() {
       timestamp: new Date().toISOString(),
       error: error.message
     };
+  } finally {
+    endRequest();
   }
 }
 
@@ -350,11 +956,12 @@ function healthCheck() {
  * @returns {Object} Safe configuration data
  */
 function getAppConfig() {
+  beginRequest('getAppConfig');
   try {
     const currentUserEmail = userService.getCurrentUserEmail();
     
-    // Only allow this function for users with full access
-    if (!userService.hasFullAccess(currentUserEmail)) {
+    // Only allow this function for users who can view diagnostics
+    if (!userService.authorize(currentUserEmail, CAPABILITIES.VIEW_DIAGNOSTICS)) {
       return { error: 'Access denied - admin privileges required' };
     }
     
@@ -368,6 +975,9 @@ function getAppConfig() {
         dateFormat: CONFIG.SPREADSHEET.DATE_FORMAT
       },
       campuses: CONFIG.CAMPUSES,
+      compliance: {
+        dueSoonDays: CONFIG.COMPLIANCE.DUE_SOON_DAYS
+      },
       contacts: CONFIG.CONTACTS,
       version: '2.0.0'
     };
@@ -379,6 +989,9 @@ function getAppConfig() {
   } catch (error) {
     logError('Error getting app config', { error: error.message }, 'getAppConfig');
     return ErrorUtils.handleException(error, 'getAppConfig');
+  } finally {
+    auditService.flush();
+    endRequest();
   }
 }
 
@@ -387,11 +1000,12 @@ function getAppConfig() {
  * @returns {Object} System information
  */
 function getSystemInfo() {
+  beginRequest('getSystemInfo');
   try {
     const currentUserEmail = userService.getCurrentUserEmail();
     
-    // Only allow this function for users with full access
-    if (!userService.hasFullAccess(currentUserEmail)) {
+    // Only allow this function for users who can view diagnostics
+    if (!userService.authorize(currentUserEmail, CAPABILITIES.VIEW_DIAGNOSTICS)) {
       return { error: 'Access denied - admin privileges required' };
     }
     
@@ -402,6 +1016,7 @@ function getSystemInfo() {
       locale: Session.getActiveUserLocale(),
       timestamp: new Date().toISOString(),
       sessionInfo: AppLogger.getSessionInfo(),
+      cacheMetrics: CacheUtils.getMetrics(),
       user: currentUserEmail
     };
     
@@ -412,6 +1027,9 @@ function getSystemInfo() {
   } catch (error) {
     logError('Error getting system info', { error: error.message }, 'getSystemInfo');
     return ErrorUtils.handleException(error, 'getSystemInfo');
+  } finally {
+    auditService.flush();
+    endRequest();
   }
 }
 
@@ -429,19 +1047,19 @@ function formatDates(data, dateColumnIndexes) {
 }
 
 /**
- * Generate a unique error ID for tracking purposes.
- * @returns {string} Unique error identifier
+ * Get the error ID for tracking purposes.
+ * Errors use the current request ID, so they match the logs and audit entries.
+ * @returns {string} Error identifier (REQ_yyyyMMddHHmmss_xxxxxx)
  */
 function generateErrorId() {
-  const timestamp = new Date().toISOString().replace(/[-:T.]/g, '').substring(0, 14);
-  const random = Math.random().toString(36).substring(2, 8);
-  return `ERR_${timestamp}_${random}`;
+  return getRequestId();
 }
 
 /**
  * Administrative function to update the spreadsheet ID for a new school year.
- * This function allows administrators to easily switch to a new spreadsheet
- * without modifying code. Should only be called by authorized personnel.
+ * The new spreadsheet is validated, saved to the runtime settings (see ConfigStore)
+ * and used immediately, without modifying code or redeploying.
+ * Should only be called by authorized personnel.
  * 
  * @param {string} newSpreadsheetId - The Google Sheets ID for the new spreadsheet
  * @param {string} [newSheetName='CURRENT CASELOAD'] - Optional new sheet name
@@ -452,12 +1070,14 @@ function generateErrorId() {
  * updateSpreadsheetConfig('1NewSpreadsheetIdForThisYear', 'CURRENT CASELOAD');
  */
 function updateSpreadsheetConfig(newSpreadsheetId, newSheetName = 'CURRENT CASELOAD') {
+  beginRequest('updateSpreadsheetConfig');
+  let currentUserEmail = null;
+  
   try {
-    const currentUserEmail = userService.getCurrentUserEmail();
+    currentUserEmail = userService.getCurrentUserEmail();
     
-    // Verify user has admin permissions (you may want to implement more robust checking)
-    if (!currentUserEmail.includes('alvaro.gomez@nisd.net') && 
-        !currentUserEmail.includes('linda.rodriguez@nisd.net')) {
+    // Verify user may change the application configuration
+    if (!userService.authorize(currentUserEmail, CAPABILITIES.MANAGE_CONFIG)) {
       throw new Error('Unauthorized: Only administrators can update spreadsheet configuration');
     }
     
@@ -493,20 +1113,37 @@ function updateSpreadsheetConfig(newSpreadsheetId, newSheetName = 'CURRENT CASEL
       throw new Error(`Cannot access new spreadsheet: ${testError.message}`);
     }
     
-    // Clear all caches to force reload with new configuration
-    clearUserCache();
+    // Store the new spreadsheet; it applies immediately and cached data is rebuilt
+    const oldSpreadsheetId = CONFIG.SPREADSHEET.SPREADSHEET_ID;
+    const result = configStore.save({
+      'SPREADSHEET.SPREADSHEET_ID': newSpreadsheetId,
+      'SPREADSHEET.SHEET_NAME': newSheetName
+    }, { email: currentUserEmail });
     
-    logInfo('Spreadsheet configuration would be updated', {
-      oldSpreadsheetId: CONFIG.SPREADSHEET.SPREADSHEET_ID,
+    logInfo('Spreadsheet configuration updated', {
+      oldSpreadsheetId: oldSpreadsheetId,
       newSpreadsheetId: newSpreadsheetId,
+      settingsVersion: result.version,
       updatedBy: currentUserEmail
     }, 'updateSpreadsheetConfig');
     
+    userService.logUserActivity(currentUserEmail, 'admin_spreadsheet_config_update', {
+      newSpreadsheetId: newSpreadsheetId,
+      newSheetName: newSheetName,
+      settingsVersion: result.version,
+      result: 'updated'
+    });
+    
     return {
       success: true,
-      message: `Validation successful! To complete the update, please modify CONFIG.SPREADSHEET.SPREADSHEET_ID in Config.js from "${CONFIG.SPREADSHEET.SPREADSHEET_ID}" to "${newSpreadsheetId}"`,
+      message: result.changed.length > 0
+        ? `Spreadsheet updated to "${newSpreadsheetId}" (settings version ${result.version})`
+        : 'The application already uses this spreadsheet',
+      previousSpreadsheetId: oldSpreadsheetId,
       currentSpreadsheetId: CONFIG.SPREADSHEET.SPREADSHEET_ID,
       newSpreadsheetId: newSpreadsheetId,
+      settingsVersion: result.version,
+      warnings: result.warnings,
       updatedBy: currentUserEmail,
       timestamp: new Date().toISOString()
     };
@@ -517,12 +1154,24 @@ function updateSpreadsheetConfig(newSpreadsheetId, newSheetName = 'CURRENT CASEL
       newSpreadsheetId: newSpreadsheetId
     }, 'updateSpreadsheetConfig');
     
+    const errorId = generateErrorId();
+    if (currentUserEmail && !error.message.startsWith('Unauthorized')) {
+      userService.logUserActivity(currentUserEmail, 'admin_spreadsheet_config_update', {
+        newSpreadsheetId: newSpreadsheetId,
+        result: 'error',
+        errorId: errorId
+      });
+    }
+    
     return {
       success: false,
       message: error.message,
-      errorId: generateErrorId(),
+      errorId: errorId,
       timestamp: new Date().toISOString()
     };
+  } finally {
+    auditService.flush();
+    endRequest();
   }
 }
 
@@ -537,9 +1186,14 @@ function updateSpreadsheetConfig(newSpreadsheetId, newSheetName = 'CURRENT CASEL
  * console.log('Current spreadsheet ID:', config.spreadsheetId);
  */
 function getSpreadsheetConfig() {
+  beginRequest('getSpreadsheetConfig');
   try {
     const currentUserEmail = userService.getCurrentUserEmail();
     
+    if (!userService.authorize(currentUserEmail, CAPABILITIES.VIEW_DIAGNOSTICS)) {
+      throw new Error('Unauthorized: admin privileges required');
+    }
+    
     logInfo('Spreadsheet configuration requested', {
       requestedBy: currentUserEmail
     }, 'getSpreadsheetConfig');
@@ -550,8 +1204,9 @@ function getSpreadsheetConfig() {
       sheetName: CONFIG.SPREADSHEET.SHEET_NAME,
       campusColumn: CONFIG.SPREADSHEET.CAMPUS_COLUMN,
       dateColumns: CONFIG.SPREADSHEET.DATE_COLUMNS,
-      columnsToRemove: CONFIG.SPREADSHEET.COLUMNS_TO_REMOVE,
+      columnSchema: CONFIG.SPREADSHEET.COLUMN_SCHEMA,
       dateFormat: CONFIG.SPREADSHEET.DATE_FORMAT,
+      settingsVersion: configStore.load().version,
       requestedBy: currentUserEmail,
       timestamp: new Date().toISOString()
     };
@@ -567,16 +1222,140 @@ function getSpreadsheetConfig() {
       errorId: generateErrorId(),
       timestamp: new Date().toISOString()
     };
+  } finally {
+    auditService.flush();
+    endRequest();
+  }
+}
+
+/**
+ * Get the runtime settings with their defaults and version history (admin function).
+ * @returns {Object} Success response with settings (see ConfigStore.getSettings), or an error response
+ * 
+ * @example
+ * google.script.run
+ *   .withSuccessHandler(response => console.log(response.data.version, response.data.fields))
+ *   .getRuntimeSettings();
+ */
+function getRuntimeSettings() {
+  beginRequest('getRuntimeSettings');
+  try {
+    const currentUserEmail = userService.getCurrentUserEmail();
+    
+    if (!userService.authorize(currentUserEmail, CAPABILITIES.MANAGE_CONFIG)) {
+      return ErrorUtils.createErrorResponse('Access denied - admin privileges required', null, 'getRuntimeSettings');
+    }
+    
+    return ErrorUtils.createSuccessResponse(configStore.getSettings(), 'Settings loaded');
+    
+  } catch (error) {
+    logError('Error getting runtime settings', { error: error.message }, 'getRuntimeSettings');
+    return ErrorUtils.handleException(error, 'getRuntimeSettings');
+  } finally {
+    auditService.flush();
+    endRequest();
+  }
+}
+
+/**
+ * Validate and save runtime settings as a new version (admin function).
+ * Changes apply immediately. When data source settings change, the sheet is
+ * checked first and every user's cached data is rebuilt.
+ * 
+ * @param {Object} changes - New values keyed by CONFIG path (see CONFIG.SETTINGS.FIELDS);
+ *   null resets a setting to its default
+ * @param {number} expectedVersion - Settings version the form was loaded with
+ * @returns {Object} Success response with { version, changed, warnings, settings }, or an error response
+ * 
+ * @example
+ * google.script.run
+ *   .withSuccessHandler(response => console.log(response.data.changed))
+ *   .saveRuntimeSettings({ 'CACHE.DATA_CACHE_DURATION': 300 }, 2);
+ */
+function saveRuntimeSettings(changes, expectedVersion) {
+  beginRequest('saveRuntimeSettings');
+  try {
+    const currentUserEmail = userService.getCurrentUserEmail();
+    
+    if (!userService.authorize(currentUserEmail, CAPABILITIES.MANAGE_CONFIG)) {
+      return ErrorUtils.createErrorResponse('Access denied - admin privileges required', null, 'saveRuntimeSettings');
+    }
+    
+    const result = configStore.save(changes, { expectedVersion: expectedVersion, email: currentUserEmail });
+    
+    if (result.changed.length > 0) {
+      userService.logUserActivity(currentUserEmail, 'admin_settings_update', {
+        version: result.version,
+        changed: result.changed
+      });
+    }
+    
+    result.settings = configStore.getSettings();
+    return ErrorUtils.createSuccessResponse(result, result.changed.length > 0
+      ? `Settings saved (version ${result.version})`
+      : 'No settings changed');
+    
+  } catch (error) {
+    logError('Error saving runtime settings', { error: error.message }, 'saveRuntimeSettings');
+    return ErrorUtils.handleException(error, 'saveRuntimeSettings');
+  } finally {
+    auditService.flush();
+    endRequest();
+  }
+}
+
+/**
+ * Restore an earlier version of the runtime settings (admin function).
+ * The restored values are saved as a new version; version 0 restores every default.
+ * 
+ * @param {number} version - Version to restore
+ * @param {number} expectedVersion - Settings version the form was loaded with
+ * @returns {Object} Success response with { version, changed, warnings, settings }, or an error response
+ */
+function restoreRuntimeSettings(version, expectedVersion) {
+  beginRequest('restoreRuntimeSettings');
+  try {
+    const currentUserEmail = userService.getCurrentUserEmail();
+    
+    if (!userService.authorize(currentUserEmail, CAPABILITIES.MANAGE_CONFIG)) {
+      return ErrorUtils.createErrorResponse('Access denied - admin privileges required', null, 'restoreRuntimeSettings');
+    }
+    
+    const result = configStore.restore(version, { expectedVersion: expectedVersion, email: currentUserEmail });
+    
+    if (result.changed.length > 0) {
+      userService.logUserActivity(currentUserEmail, 'admin_settings_update', {
+        version: result.version,
+        restoredVersion: version,
+        changed: result.changed
+      });
+    }
+    
+    result.settings = configStore.getSettings();
+    return ErrorUtils.createSuccessResponse(result, result.changed.length > 0
+      ? `Version ${version} restored as version ${result.version}`
+      : 'Settings already match that version');
+    
+  } catch (error) {
+    logError('Error restoring runtime settings', { error: error.message, version }, 'restoreRuntimeSettings');
+    return ErrorUtils.handleException(error, 'restoreRuntimeSettings');
+  } finally {
+    auditService.flush();
+    endRequest();
   }
 }
 
 /**
  * Test connection to a specific spreadsheet without updating configuration.
  * Useful for validating new spreadsheets before migration.
+ * Sample rows are masked by default: student-identifying columns and emails are
+ * redacted (see CONFIG.PRIVACY).
  * 
  * @param {string} spreadsheetId - The Google Sheets ID to test
  * @param {string} [sheetName='CURRENT CASELOAD'] - Sheet name to test
- * @returns {Object} Test results
+ * @param {Object} [options={}] - Test options
+ * @param {boolean} [options.maskSampleData=true] - Mask student PII in sampleData; false returns raw rows
+ * @returns {Object} Test results, including the header row and the number of rows per campus value (campusValues)
  * 
  * @example
  * const testResult = testSpreadsheetConnection('1NewSpreadsheetId');
@@ -584,10 +1363,16 @@ function getSpreadsheetConfig() {
  *   console.log('Spreadsheet is ready for migration');
  * }
  */
-function testSpreadsheetConnection(spreadsheetId, sheetName = 'CURRENT CASELOAD') {
+function testSpreadsheetConnection(spreadsheetId, sheetName = 'CURRENT CASELOAD', options = {}) {
+  beginRequest('testSpreadsheetConnection');
   try {
     const currentUserEmail = userService.getCurrentUserEmail();
     
+    // Returns sample rows, so restrict to users who can view diagnostics
+    if (!userService.authorize(currentUserEmail, CAPABILITIES.VIEW_DIAGNOSTICS)) {
+      throw new Error('Unauthorized: admin privileges required');
+    }
+    
     logInfo('Testing spreadsheet connection', {
       requestedBy: currentUserEmail,
       testSpreadsheetId: spreadsheetId,
@@ -617,10 +1402,23 @@ function testSpreadsheetConnection(spreadsheetId, sheetName = 'CURRENT CASELOAD'
     
     // Analyze data structure
     const headers = testData[0] || [];
-    const campusColumnIndex = headers.findIndex(header => 
+    const maskSampleData = options.maskSampleData !== false;
+    const sampleRows = testData.slice(0, Math.min(3, testData.length)); // First 3 rows including header
+    // Prefer the configured campus column; otherwise guess from the header names
+    const configuredCampusIndex = headers.indexOf(CONFIG.SPREADSHEET.CAMPUS_COLUMN);
+    const campusColumnIndex = configuredCampusIndex >= 0 ? configuredCampusIndex : headers.findIndex(header => 
       header && header.toString().toUpperCase().includes('CAMPUS')
     );
     
+    // Rows per campus value, kept untrimmed so stray spaces show up in the compatibility analysis
+    const campusValues = {};
+    if (campusColumnIndex >= 0) {
+      testData.slice(1).forEach(row => {
+        const value = String(row[campusColumnIndex]);
+        campusValues[value] = (campusValues[value] || 0) + 1;
+      });
+    }
+    
     const analysisResult = {
       success: true,
       message: 'Spreadsheet connection test successful',
@@ -632,7 +1430,16 @@ function testSpreadsheetConnection(spreadsheetId, sheetName = 'CURRENT CASELOAD'
       headers: headers,
       campusColumnFound: campusColumnIndex >= 0,
       campusColumnIndex: campusColumnIndex,
-      sampleData: testData.slice(0, Math.min(3, testData.length)), // First 3 rows including header
+      campusColumn: campusColumnIndex >= 0 ? String(headers[campusColumnIndex]) : null,
+      campusValues: campusValues,
+      // Permissions are read from the data spreadsheet, so a new spreadsheet needs this sheet too
+      permissionsSheetFound: !!testSpreadsheet.getSheetByName(CONFIG.SPREADSHEET.USER_PERMISSIONS_SHEET),
+      // Schema columns this sheet would not serve (see CONFIG.SPREADSHEET.COLUMN_SCHEMA)
+      missingSchemaColumns: CONFIG.SPREADSHEET.COLUMN_SCHEMA
+        .filter(column => !column.computed && dataService.findHeaderIndex(headers, column.header) === -1)
+        .map(column => column.header),
+      sampleData: maskSampleData ? AppLogger.maskRows(sampleRows) : sampleRows,
+      sampleDataMasked: maskSampleData,
       testedBy: currentUserEmail,
       timestamp: new Date().toISOString()
     };
@@ -643,6 +1450,20 @@ function testSpreadsheetConnection(spreadsheetId, sheetName = 'CURRENT CASELOAD'
       campusColumnFound: analysisResult.campusColumnFound
     }, 'testSpreadsheetConnection');
     
+    if (analysisResult.missingSchemaColumns.length > 0) {
+      logWarn('Schema columns not found in sheet headers', {
+        spreadsheetId: spreadsheetId,
+        missingSchemaColumns: analysisResult.missingSchemaColumns
+      }, 'testSpreadsheetConnection');
+    }
+    
+    userService.logUserActivity(currentUserEmail, 'admin_spreadsheet_tested', {
+      spreadsheetId: spreadsheetId,
+      sheetName: sheetName,
+      sampleRows: analysisResult.sampleData.length - 1,
+      masked: maskSampleData
+    });
+    
     return analysisResult;
     
   } catch (error) {
@@ -660,27 +1481,48 @@ function testSpreadsheetConnection(spreadsheetId, sheetName = 'CURRENT CASELOAD'
       errorId: generateErrorId(),
       timestamp: new Date().toISOString()
     };
+  } finally {
+    auditService.flush();
+    endRequest();
   }
 }
 
 /**
  * DEBUG FUNCTION: Test the current spreadsheet configuration and data access.
  * Use this to troubleshoot why data isn't showing up in the webapp.
+ * Sample rows are masked by default (see testSpreadsheetConnection).
  * 
+ * @param {Object} [options={}] - Debug options
+ * @param {boolean} [options.maskSampleData=true] - Mask student PII in sample rows; false returns raw rows
  * @returns {Object} Comprehensive debugging information
  */
-function debugDataAccess() {
+function debugDataAccess(options = {}) {
+  beginRequest('debugDataAccess');
   try {
     const currentUserEmail = userService.getCurrentUserEmail();
+    
+    if (!userService.authorize(currentUserEmail, CAPABILITIES.VIEW_DIAGNOSTICS)) {
+      return { success: false, error: 'Access denied - admin privileges required' };
+    }
+    
     const debugResult = {
       timestamp: new Date().toISOString(),
       user: currentUserEmail,
       steps: {}
     };
     
+    const maskSampleData = options.maskSampleData !== false;
+    const sample = rows => (maskSampleData ? AppLogger.maskRows(rows) : rows);
+    
+    userService.logUserActivity(currentUserEmail, 'admin_debug_data_access', { masked: maskSampleData });
+    
     // Step 1: Test spreadsheet access
     console.log('Step 1: Testing spreadsheet access...');
-    debugResult.steps.step1_spreadsheet = testSpreadsheetConnection(CONFIG.SPREADSHEET.SPREADSHEET_ID, CONFIG.SPREADSHEET.SHEET_NAME);
+    debugResult.steps.step1_spreadsheet = testSpreadsheetConnection(
+      CONFIG.SPREADSHEET.SPREADSHEET_ID,
+      CONFIG.SPREADSHEET.SHEET_NAME,
+      { maskSampleData: maskSampleData }
+    );
     
     // Step 2: Test user permissions
     console.log('Step 2: Testing user permissions...');
@@ -691,6 +1533,8 @@ function debugDataAccess() {
         hasAccess: permissions.hasAccess,
         campuses: permissions.campuses,
         isFullAccess: permissions.isFullAccess,
+        role: permissions.role,
+        source: permissions.source,
         userEmail: currentUserEmail
       };
     } catch (error) {
@@ -709,7 +1553,7 @@ function debugDataAccess() {
         success: true,
         rawDataRows: rawData ? rawData.length : 0,
         rawDataColumns: rawData && rawData[0] ? rawData[0].length : 0,
-        firstFewRows: rawData ? rawData.slice(0, 3) : []
+        firstFewRows: rawData ? sample(rawData.slice(0, 3)) : []
       };
     } catch (error) {
       debugResult.steps.step3_dataService = {
@@ -726,7 +1570,7 @@ function debugDataAccess() {
         success: true,
         userDataRows: userData ? userData.length : 0,
         userDataColumns: userData && userData[0] ? userData[0].length : 0,
-        sampleUserData: userData ? userData.slice(0, 3) : []
+        sampleUserData: userData ? sample(userData.slice(0, 3)) : []
       };
     } catch (error) {
       debugResult.steps.step4_userData = {
@@ -741,6 +1585,7 @@ function debugDataAccess() {
       spreadsheetId: CONFIG.SPREADSHEET.SPREADSHEET_ID,
       sheetName: CONFIG.SPREADSHEET.SHEET_NAME,
       campusColumn: CONFIG.SPREADSHEET.CAMPUS_COLUMN,
+      permissionsSheet: CONFIG.SPREADSHEET.USER_PERMISSIONS_SHEET,
       userInLegacyMapping: !!CONFIG.LEGACY_EMAIL_CAMPUS_MAPPING[currentUserEmail]
     };
     
@@ -756,5 +1601,8 @@ function debugDataAccess() {
       error: error.message,
       timestamp: new Date().toISOString()
     };
+  } finally {
+    auditService.flush();
+    endRequest();
   }
 }
@@ -0,0 +1,182 @@
+/**
+ * @fileoverview ARD and IEP compliance tracking for NAHS Caseload Counts application.
+ *
+ * Computes due dates and status flags from the LAST ARD, DATA SHARED, IEP SHARED
+ * and ENTRY DATE columns: when the next ARD is due, how many days remain, and
+ * whether data and IEPs were shared within the allowed number of days of entry.
+ * The columns are added in the data pipeline before column selection, so the
+ * table, exports and counts all use the same values.
+ *
+ * @namespace ComplianceService
+ * @requires CONFIG - Application configuration constants
+ * @requires DataService - Header matching helpers
+ *
+ * @author Alvaro Gomez, Academic Technology Coach
+ * @version 1.0.0
+ * @since 08-06-2025
+ */
+
+/**
+ * Compliance service class for computing due dates and status flags.
+ *
+ * @class ComplianceService
+ * @classdesc Adds computed ARD and IEP compliance columns to caseload data
+ */
+class ComplianceService {
+  /**
+   * Append the computed compliance columns to caseload data.
+   * Source columns that are missing from the data are treated as blank dates.
+   *
+   * @param {Array<Array<*>>} data - Caseload data including headers
+   * @param {Date} [now=new Date()] - Reference date for days until due
+   * @returns {Array<Array<*>>} New dataset with compliance columns added after the existing ones
+   *
+   * @example
+   * const data = [['ENTRY DATE', 'LAST ARD'], ['2025-09-02T05:00:00.000Z', '2024-10-20T05:00:00.000Z']];
+   * const result = complianceService.appendComplianceColumns(data, new Date(2025, 9, 1));
+   * // result[0]: [..., 'NEXT ARD DUE', 'DAYS UNTIL ARD', 'ARD STATUS', ..., 'COMPLIANCE']
+   */
+  appendComplianceColumns(data, now = new Date()) {
+    if (!data || data.length === 0) {
+      return data;
+    }
+
+    const settings = CONFIG.COMPLIANCE;
+    const headers = data[0];
+    const indexOf = column => dataService.findHeaderIndex(headers, column);
+    const sources = {
+      entryDate: indexOf(CONFIG.SPREADSHEET.ENTRY_DATE_COLUMN),
+      lastArd: indexOf(settings.LAST_ARD_COLUMN),
+      shared: settings.SHARE_DEADLINES.map(deadline => indexOf(deadline.column))
+    };
+    const today = this.toDayNumber(now);
+    const valueAt = (row, index) => (index === -1 ? '' : row[index]);
+
+    const computedHeaders = [
+      settings.COLUMNS.NEXT_ARD_DUE,
+      settings.COLUMNS.DAYS_UNTIL_ARD,
+      settings.COLUMNS.ARD_STATUS,
+      ...settings.SHARE_DEADLINES.map(deadline => deadline.statusColumn),
+      settings.COLUMNS.OVERALL
+    ];
+
+    return data.map((row, rowIndex) => {
+      if (rowIndex === 0) {
+        return [...row, ...computedHeaders];
+      }
+
+      const ard = this.evaluateArd(valueAt(row, sources.lastArd), today);
+      const entryDay = this.toDayNumber(valueAt(row, sources.entryDate));
+      const sharedStatuses = settings.SHARE_DEADLINES.map((deadline, i) =>
+        this.evaluateShareDeadline(entryDay, this.toDayNumber(valueAt(row, sources.shared[i])), deadline.withinDays, today)
+      );
+
+      return [
+        ...row,
+        ard.nextDue,
+        ard.daysUntilDue,
+        ard.status,
+        ...sharedStatuses,
+        this.getWorstStatus([ard.status, ...sharedStatuses])
+      ];
+    });
+  }
+
+  /**
+   * Work out when the next ARD is due and its status.
+   *
+   * @param {*} lastArd - LAST ARD cell value
+   * @param {number} today - Today as a day number (see toDayNumber)
+   * @returns {Object} Result as { nextDue, daysUntilDue, status }; nextDue uses CONFIG.SPREADSHEET.DATE_FORMAT
+   */
+  evaluateArd(lastArd, today) {
+    const statuses = CONFIG.COMPLIANCE.STATUSES;
+    const lastDay = this.toDayNumber(lastArd);
+    if (lastDay === null) {
+      return { nextDue: '', daysUntilDue: '', status: statuses.MISSING };
+    }
+
+    const last = new Date(lastDay * DAY_MS);
+    const due = new Date(Date.UTC(
+      last.getUTCFullYear(),
+      last.getUTCMonth() + CONFIG.COMPLIANCE.ARD_INTERVAL_MONTHS,
+      last.getUTCDate()
+    ));
+    const daysUntilDue = Math.round(due.getTime() / DAY_MS) - today;
+
+    return {
+      nextDue: Utilities.formatDate(due, 'UTC', CONFIG.SPREADSHEET.DATE_FORMAT),
+      daysUntilDue: daysUntilDue,
+      status: this.getDeadlineStatus(daysUntilDue)
+    };
+  }
+
+  /**
+   * Status of a document that must be shared within a number of days of entry.
+   * Without an entry date the status is missing; once shared, it is on time or
+   * overdue depending on whether it was shared by the deadline.
+   *
+   * @param {number|null} entryDay - ENTRY DATE as a day number
+   * @param {number|null} sharedDay - Shared date as a day number, or null if not shared
+   * @param {number} withinDays - Days after entry the document is due
+   * @param {number} today - Today as a day number
+   * @returns {string} Status from CONFIG.COMPLIANCE.STATUSES
+   */
+  evaluateShareDeadline(entryDay, sharedDay, withinDays, today) {
+    const statuses = CONFIG.COMPLIANCE.STATUSES;
+    if (entryDay === null) {
+      return statuses.MISSING;
+    }
+
+    const dueDay = entryDay + withinDays;
+    if (sharedDay !== null) {
+      return sharedDay <= dueDay ? statuses.ON_TIME : statuses.OVERDUE;
+    }
+    return this.getDeadlineStatus(dueDay - today);
+  }
+
+  /**
+   * Status of an open deadline.
+   * @param {number} daysUntilDue - Days until the deadline (negative when past)
+   * @returns {string} Overdue, due soon or on time
+   * @private
+   */
+  getDeadlineStatus(daysUntilDue) {
+    const statuses = CONFIG.COMPLIANCE.STATUSES;
+    if (daysUntilDue < 0) {
+      return statuses.OVERDUE;
+    }
+    return daysUntilDue <= CONFIG.COMPLIANCE.DUE_SOON_DAYS ? statuses.DUE_SOON : statuses.ON_TIME;
+  }
+
+  /**
+   * Pick the most urgent status, in the order of CONFIG.COMPLIANCE.STATUSES.
+   * @param {Array<string>} statuses - Status values
+   * @returns {string} Most urgent status
+   */
+  getWorstStatus(statuses) {
+    const order = Object.values(CONFIG.COMPLIANCE.STATUSES);
+    return statuses.reduce((worst, status) => (order.indexOf(status) > order.indexOf(worst) ? status : worst));
+  }
+
+  /**
+   * Convert a date value to a calendar day number in the script time zone.
+   * Accepts Date objects and the ISO strings produced when data is cached.
+   *
+   * @param {*} value - Cell value
+   * @returns {number|null} Days since 1970-01-01, or null for blank or non-date values
+   */
+  toDayNumber(value) {
+    if (value === null || value === undefined || value === '' || !DateUtils.isValidDate(value)) {
+      return null;
+    }
+    const day = Utilities.formatDate(new Date(value), Session.getScriptTimeZone(), 'yyyy-MM-dd').split('-');
+    return Math.round(Date.UTC(Number(day[0]), Number(day[1]) - 1, Number(day[2])) / DAY_MS);
+  }
+}
+
+/** Milliseconds in a day */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Global instance
+const complianceService = new ComplianceService();
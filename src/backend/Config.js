@@ -39,35 +39,118 @@ const CONFIG = {
    */
   SPREADSHEET: {
     /** 
-     * Google Sheets ID for the data source
+     * Google Sheets ID for the data source (default).
      * 
-     * IMPORTANT: For yearly updates, change this ID to the new spreadsheet.
-     * Use the testSpreadsheetConnection() function to validate new spreadsheets
-     * before updating this configuration.
-     * 
-     * Year-to-year migration process:
-     * 1. Run testSpreadsheetConnection('new_spreadsheet_id') to validate
-     * 2. Update this SPREADSHEET_ID value
-     * 3. Deploy the updated script
-     * 4. Test the application with a few users
+     * For yearly updates, change the spreadsheet in the admin Settings panel
+     * (or with updateSpreadsheetConfig) instead of editing this value. The new
+     * spreadsheet is validated, stored in Script Properties (see CONFIG.SETTINGS)
+     * and used immediately without a redeploy.
      * 
      * Current spreadsheet: NAHS Caseload 2024-2025
      */
     SPREADSHEET_ID: '1SxbUOEIaogQyy66E4fvLcIqblGnvueduSaYz1ftsAEA',
     /** Name of the main data sheet */
     SHEET_NAME: 'CURRENT CASELOAD',
-    /** Name of user permissions sheet (future implementation) */
+    /**
+     * Name of the user permissions sheet in the data spreadsheet.
+     * When this sheet is missing, permissions fall back to LEGACY_EMAIL_CAMPUS_MAPPING.
+     */
     USER_PERMISSIONS_SHEET: 'User Permissions',
+    /**
+     * Header names expected in the user permissions sheet (matched case-insensitively).
+     * CAMPUSES holds a comma-separated campus list, or ALL for every campus.
+     * ACTIVE accepts TRUE/FALSE, YES/NO or a checkbox; a blank cell counts as active.
+     * COLUMNS is optional: a comma-separated list of COLUMN_SCHEMA headers that replaces
+     * the role-based column rules for that user.
+     */
+    USER_PERMISSIONS_COLUMNS: {
+      EMAIL: 'EMAIL',
+      CAMPUSES: 'CAMPUSES',
+      ROLE: 'ROLE',
+      ACTIVE: 'ACTIVE',
+      COLUMNS: 'COLUMNS'
+    },
     /** Column name containing campus information */
     CAMPUS_COLUMN: 'HOME CAMPUS',
+    /** Column with the date a student entered the program (used for new entry counts) */
+    ENTRY_DATE_COLUMN: 'ENTRY DATE',
     /** Columns containing date values that need formatting */
     DATE_COLUMNS: ['ENTRY DATE', 'ESCHOOL ', 'LAST ARD', 'DATA SHARED', 'IEP SHARED'],
-    /** Column indices to remove from display (0-indexed) */
-    COLUMNS_TO_REMOVE: [7, 8, 9, 12, 13, 14],
+    /**
+     * Columns used to break down caseload counts (e.g. by grade or status).
+     * Columns that are not found in the sheet, or that the user cannot see, are skipped.
+     */
+    COUNT_GROUP_COLUMNS: ['GRADE', 'STATUS', 'COMPLIANCE'],
+    /**
+     * Columns shown to users, in display order. Headers are matched by name
+     * (trimmed, case-insensitive); columns not listed here are never sent to the browser.
+     * Copy header names from row 1 of the data sheet: a column whose header is not found is
+     * left out of every view, logged as a warning and listed under missingColumns in the
+     * campus data quality report and testSpreadsheetConnection().
+     * - header: header name in the data sheet
+     * - label: optional display label (defaults to the header)
+     * - required: when true, no data is served if the header is missing
+     * - roles: optional list of roles that may see the column (all roles when omitted);
+     *   a COLUMNS entry in the user permissions sheet overrides this for that user
+     * - computed: column is calculated on the server (see CONFIG.COMPLIANCE), not read from the sheet
+     */
+    COLUMN_SCHEMA: [
+      { header: 'STUDENT NAME' },
+      { header: 'STUDENT ID' },
+      { header: 'GRADE' },
+      { header: 'HOME CAMPUS', required: true },
+      { header: 'ENTRY DATE' },
+      { header: 'ESCHOOL ' },
+      { header: 'LAST ARD', roles: ['coordinator', 'district_admin', 'technical_admin'] },
+      { header: 'DATA SHARED', roles: ['coordinator', 'district_admin', 'technical_admin'] },
+      { header: 'IEP SHARED', roles: ['coordinator', 'district_admin', 'technical_admin'] },
+      { header: 'NEXT ARD DUE', computed: true, roles: ['coordinator', 'district_admin', 'technical_admin'] },
+      { header: 'DAYS UNTIL ARD', computed: true, roles: ['coordinator', 'district_admin', 'technical_admin'] },
+      { header: 'ARD STATUS', computed: true, roles: ['coordinator', 'district_admin', 'technical_admin'] },
+      { header: 'DATA SHARED STATUS', computed: true, roles: ['coordinator', 'district_admin', 'technical_admin'] },
+      { header: 'IEP SHARED STATUS', computed: true, roles: ['coordinator', 'district_admin', 'technical_admin'] },
+      { header: 'COMPLIANCE', computed: true, roles: ['coordinator', 'district_admin', 'technical_admin'] },
+      { header: 'STATUS' }
+    ],
     /** Format string for date display */
     DATE_FORMAT: 'MM/dd/yy'
   },
 
+  /**
+   * ARD and IEP compliance tracking. The computed columns named here are added
+   * to every row on the server, so the table, exports and counts agree.
+   * Dates are compared as calendar days in the script time zone.
+   * @namespace CONFIG.COMPLIANCE
+   *
+   */
+  COMPLIANCE: {
+    /** Column with the date of the last ARD meeting */
+    LAST_ARD_COLUMN: 'LAST ARD',
+    /** Months after LAST ARD that the next ARD is due */
+    ARD_INTERVAL_MONTHS: 12,
+    /** Deadlines within this many days are flagged as due soon */
+    DUE_SOON_DAYS: 14,
+    /** Documents that must be shared within a number of days of ENTRY DATE */
+    SHARE_DEADLINES: [
+      { column: 'DATA SHARED', withinDays: 10, statusColumn: 'DATA SHARED STATUS' },
+      { column: 'IEP SHARED', withinDays: 10, statusColumn: 'IEP SHARED STATUS' }
+    ],
+    /** Names of the computed ARD columns and the overall (worst) status column */
+    COLUMNS: {
+      NEXT_ARD_DUE: 'NEXT ARD DUE',
+      DAYS_UNTIL_ARD: 'DAYS UNTIL ARD',
+      ARD_STATUS: 'ARD STATUS',
+      OVERALL: 'COMPLIANCE'
+    },
+    /** Status values, from least to most urgent */
+    STATUSES: {
+      ON_TIME: 'On Time',
+      DUE_SOON: 'Due Soon',
+      MISSING: 'Missing',
+      OVERDUE: 'Overdue'
+    }
+  },
+
   /**
    * Caching configuration for performance optimization.
    * @namespace CONFIG.CACHE
@@ -79,7 +162,15 @@ const CONFIG = {
     /** Duration in seconds for data cache */
     DATA_CACHE_DURATION: 2 * 60,
     /** Prefix for all cache keys */
-    PREFIX: 'nahs_caseload_'
+    PREFIX: 'nahs_caseload_',
+    /** Characters per chunk for large cached values (CacheService values are limited to 100KB) */
+    CHUNK_SIZE: 90 * 1024,
+    /** Script property holding the cache generation (bumped when the caseload sheet changes) */
+    GENERATION_PROPERTY: 'CACHE_GENERATION',
+    /** Milliseconds to wait for the lock that serializes campus cache builds */
+    BUILD_LOCK_TIMEOUT_MS: 10000,
+    /** Duration in seconds that cache hit/miss counters are kept */
+    METRICS_DURATION: 6 * 60 * 60
   },
 
   /**
@@ -90,10 +181,269 @@ const CONFIG = {
   SECURITY: {
     /** Required email domain for access */
     ALLOWED_DOMAIN: '@nisd.net',
-    /** Number of campuses that indicates full administrative access */
+    /** Number of campuses that indicates full data access (all campuses) */
     FULL_ACCESS_CAMPUS_COUNT: 17,
     /** Session timeout in seconds */
-    SESSION_TIMEOUT: 30 * 60
+    SESSION_TIMEOUT: 30 * 60,
+    /** Role assigned when the ROLE cell of the permissions sheet is blank */
+    DEFAULT_ROLE: 'coordinator',
+    /**
+     * Capabilities granted to each role (see ROLES and CAPABILITIES).
+     * Users without access have the role 'none' and no capabilities.
+     */
+    ROLE_CAPABILITIES: {
+      viewer: ['view_data'],
+      coordinator: ['view_data', 'export'],
+      district_admin: ['view_data', 'export', 'view_diagnostics', 'manage_permissions'],
+      technical_admin: [
+        'view_data', 'export', 'view_diagnostics', 'manage_permissions',
+        'manage_config', 'run_migration'
+      ]
+    },
+    /**
+     * Roles for users in LEGACY_EMAIL_CAMPUS_MAPPING. Anyone not listed is a coordinator.
+     * @deprecated Only used when the permissions sheet is missing, and by emergencyRollback
+     * when it cannot be read.
+     */
+    LEGACY_ROLE_ASSIGNMENTS: {
+      'alvaro.gomez@nisd.net': 'technical_admin',
+      'linda.rodriguez@nisd.net': 'technical_admin'
+    }
+  },
+
+  /**
+   * Audit log settings for recording user activity.
+   * The web app runs as the accessing user, so every user needs edit access
+   * to the audit spreadsheet for their activity to be recorded.
+   * @namespace CONFIG.AUDIT
+   *
+   */
+  AUDIT: {
+    /**
+     * Spreadsheet holding the audit log. Use a dedicated spreadsheet, so the log is not part
+     * of the data spreadsheet. When null, the data spreadsheet in use the first time the log
+     * is opened is saved in SPREADSHEET_PROPERTY, so the log stays in one place when the data
+     * spreadsheet changes.
+     */
+    SPREADSHEET_ID: null,
+    /** Script property remembering the audit spreadsheet when SPREADSHEET_ID is null */
+    SPREADSHEET_PROPERTY: 'AUDIT_SPREADSHEET_ID',
+    /** Name of the sheet receiving new entries; older months are renamed to "<name> yyyy-MM" */
+    SHEET_NAME: 'Audit Log',
+    /** Header row of the audit sheet */
+    HEADERS: ['Timestamp', 'User', 'Action', 'Campuses', 'Details', 'Session ID', 'Outcome', 'Request ID'],
+    /** Number of buffered entries that triggers a write before the request ends */
+    BATCH_SIZE: 20,
+    /** Milliseconds to wait for the script lock before giving up on a write */
+    LOCK_TIMEOUT_MS: 10000
+  },
+
+  /**
+   * Installable trigger settings.
+   * Time-driven triggers cannot be limited to certain hours, so the pre-warm
+   * handler checks SCHOOL_HOURS itself and returns early outside them.
+   * @namespace CONFIG.TRIGGERS
+   *
+   */
+  TRIGGERS: {
+    /** Function run by the cache pre-warm trigger */
+    PREWARM_HANDLER: 'prewarmCaches_',
+    /** Function run by the on-change trigger installed on the caseload spreadsheet */
+    CHANGE_HANDLER: 'onCaseloadChange_',
+    /** Minutes between pre-warm runs (Apps Script allows 1, 5, 10, 15 or 30) */
+    PREWARM_INTERVAL_MINUTES: 5,
+    /** Script Property prefix recording who installed each handler's trigger (followed by the handler name) */
+    OWNER_PROPERTY_PREFIX: 'TRIGGER_OWNER_',
+    /** When pre-warming runs, in the script time zone */
+    SCHOOL_HOURS: {
+      /** Days of the week (1 = Monday ... 7 = Sunday) */
+      DAYS: [1, 2, 3, 4, 5],
+      /** First hour (inclusive, 24-hour clock) */
+      START_HOUR: 6,
+      /** Last hour (exclusive, 24-hour clock) */
+      END_HOUR: 17
+    }
+  },
+
+  /**
+   * Weekly email digest sent to campus coordinators.
+   * Recipients and their campuses come from the user permissions sheet; each
+   * digest only includes columns the recipient is allowed to see.
+   * @namespace CONFIG.DIGEST
+   *
+   */
+  DIGEST: {
+    /** Function run by the weekly digest trigger */
+    HANDLER: 'sendWeeklyDigests_',
+    /** HTML template file (without .html) used for the email body */
+    TEMPLATE: 'DigestEmail',
+    /** Email subject */
+    SUBJECT: 'NAHS Caseload weekly digest',
+    /** Roles that receive the digest */
+    RECIPIENT_ROLES: ['coordinator'],
+    /** Day and hour (script time zone) the digest is sent */
+    WEEK_DAY: 'MONDAY',
+    HOUR: 6,
+    /** Students who entered within this many days are listed as new entries */
+    NEW_ENTRY_DAYS: 7,
+    /** ARDs due within this many days are listed as upcoming */
+    UPCOMING_ARD_DAYS: 30,
+    /** Columns that identify a student in the digest (only those the recipient can see) */
+    STUDENT_COLUMNS: ['STUDENT NAME', 'STUDENT ID', 'HOME CAMPUS'],
+    /** Send a digest even when it has nothing to report */
+    SEND_EMPTY: false,
+    /** Script property holding the JSON list of opted-out emails */
+    OPT_OUT_PROPERTY: 'DIGEST_OPT_OUT',
+    /** Sheet in the audit spreadsheet recording every digest run */
+    LOG_SHEET_NAME: 'Digest Log',
+    /** Header row of the digest log sheet */
+    LOG_HEADERS: ['Timestamp', 'Recipient', 'Campuses', 'Status', 'New Entries', 'Upcoming ARDs', 'Missing Shared', 'Error']
+  },
+
+  /**
+   * Logging output settings.
+   * The level and format can be changed at runtime in Project Settings > Script
+   * Properties; they are read once per execution.
+   * @namespace CONFIG.LOGGING
+   *
+   */
+  LOGGING: {
+    /** Script property with the minimum level written (DEBUG, INFO, WARN, ERROR or CRITICAL) */
+    LEVEL_PROPERTY: 'LOG_LEVEL',
+    /** Minimum level when the property is unset or invalid */
+    DEFAULT_LEVEL: 'INFO',
+    /** Script property with the output format: text, or json for structured Cloud Logging payloads */
+    FORMAT_PROPERTY: 'LOG_FORMAT',
+    /** Output format when the property is unset or invalid */
+    DEFAULT_FORMAT: 'text'
+  },
+
+  /**
+   * Student and staff privacy (FERPA) settings for logs and diagnostics.
+   * Emails in log messages and data are replaced with a keyed hash (or masked),
+   * and student-identifying fields and sheet rows are removed before anything is logged.
+   * @namespace CONFIG.PRIVACY
+   *
+   */
+  PRIVACY: {
+    /** Redact log messages and data */
+    REDACT_LOGS: true,
+    /** How emails are redacted: 'hash' (same email, same hash) or 'mask' (j***@nisd.net) */
+    EMAIL_MODE: 'hash',
+    /** Script property holding the secret key for email hashes (created on first use) */
+    HASH_KEY_PROPERTY: 'LOG_HASH_KEY',
+    /** Field names and sheet headers that identify a student (matched ignoring case, spaces and punctuation) */
+    STUDENT_FIELDS: ['STUDENT NAME', 'STUDENT ID', 'STUDENT', 'FIRST NAME', 'LAST NAME', 'DOB', 'DATE OF BIRTH', 'BIRTHDATE'],
+    /** Replacement for redacted values */
+    MASK: '[REDACTED]'
+  },
+
+  /**
+   * Alerts for critical errors.
+   * Every critical error is written to the errors sheet; emails to CONTACTS.DEVELOPER
+   * are throttled so a repeating failure sends one alert per THROTTLE_SECONDS.
+   * @namespace CONFIG.ALERTS
+   *
+   */
+  ALERTS: {
+    /** Send alert emails (the errors sheet is always written) */
+    EMAIL_ENABLED: true,
+    /** Email subject prefix */
+    SUBJECT_PREFIX: '[NAHS Caseload] Critical error',
+    /** Seconds before the same context and message can send another alert */
+    THROTTLE_SECONDS: 30 * 60,
+    /** Most alert emails sent per hour across all errors */
+    MAX_EMAILS_PER_HOUR: 10,
+    /** Sheet in the audit spreadsheet recording every critical error */
+    SHEET_NAME: 'Errors',
+    /** Header row of the errors sheet; Status starts as NEW_STATUS for admins to triage */
+    HEADERS: ['Timestamp', 'Error ID', 'Context', 'Message', 'Data', 'User', 'Session ID', 'Alert', 'Status'],
+    /** Status given to new rows in the errors sheet */
+    NEW_STATUS: 'New',
+    /** Maximum characters of error data kept in the sheet and email */
+    MAX_DATA_LENGTH: 2000
+  },
+
+  /**
+   * Runtime settings stored in Script Properties.
+   * Admins change the settings in FIELDS from the Settings panel; saved values
+   * override the defaults in this file for every execution, without a redeploy.
+   * Each save creates a new version, and earlier versions can be restored.
+   * @namespace CONFIG.SETTINGS
+   *
+   */
+  SETTINGS: {
+    /** Script property holding the current settings as JSON */
+    PROPERTY: 'APP_SETTINGS',
+    /** Script property holding earlier versions, newest first */
+    HISTORY_PROPERTY: 'APP_SETTINGS_HISTORY',
+    /** Number of earlier versions kept */
+    HISTORY_SIZE: 10,
+    /** Largest value written to one script property (Apps Script allows 9KB) */
+    MAX_PROPERTY_LENGTH: 9000,
+    /** Longest cache duration allowed, in seconds (CacheService keeps values at most 6 hours) */
+    MAX_CACHE_SECONDS: 6 * 60 * 60,
+    /**
+     * Settings that can be changed at runtime.
+     * - key: path of the setting in CONFIG
+     * - type: 'spreadsheetId', 'text', 'list' (comma-separated), 'seconds' or 'email'
+     * - optional: when true, the value may be blank
+     * - sheet: when true, the data sheet is checked before saving and cached data is rebuilt after
+     */
+    FIELDS: [
+      { key: 'SPREADSHEET.SPREADSHEET_ID', label: 'Spreadsheet ID', group: 'Data source', type: 'spreadsheetId', sheet: true },
+      { key: 'SPREADSHEET.SHEET_NAME', label: 'Sheet name', group: 'Data source', type: 'text', sheet: true },
+      { key: 'SPREADSHEET.CAMPUS_COLUMN', label: 'Campus column', group: 'Data source', type: 'text', sheet: true },
+      { key: 'SPREADSHEET.DATE_COLUMNS', label: 'Date columns', group: 'Data source', type: 'list', sheet: true },
+      { key: 'CACHE.USER_PERMISSIONS_DURATION', label: 'Permissions cache (seconds)', group: 'Caching', type: 'seconds' },
+      { key: 'CACHE.DATA_CACHE_DURATION', label: 'Data cache (seconds)', group: 'Caching', type: 'seconds' },
+      { key: 'CONTACTS.TEACHER.name', label: 'Program contact name', group: 'Contacts', type: 'text' },
+      { key: 'CONTACTS.TEACHER.email', label: 'Program contact email', group: 'Contacts', type: 'email' },
+      { key: 'CONTACTS.DEVELOPER.name', label: 'Developer name', group: 'Contacts', type: 'text' },
+      { key: 'CONTACTS.DEVELOPER.email', label: 'Developer email', group: 'Contacts', type: 'email' },
+      { key: 'CONTACTS.DEVELOPER.office', label: 'Developer phone', group: 'Contacts', type: 'text', optional: true }
+    ]
+  },
+
+  /**
+   * School year cutover settings.
+   * migrateToNewSchoolYear() switches the spreadsheet through the runtime settings
+   * (see CONFIG.SETTINGS), so emergencyRollback() can restore any recorded version.
+   * @namespace CONFIG.MIGRATION
+   *
+   */
+  MIGRATION: {
+    /** Lowest compatibility score (out of 100) that can be applied without options.force */
+    MIN_COMPATIBILITY_SCORE: 50,
+    /**
+     * Similarity (0-1) at which a header missing from the new sheet is treated as renamed
+     * to a new header. Headers are compared without case, spaces or punctuation; a header
+     * containing the other (e.g. 'LAST ARD' and 'LAST ARD DATE') scores at least 0.8.
+     */
+    RENAME_SIMILARITY: 0.7,
+    /**
+     * Spreadsheet holding the migration history ledger. When null, the audit spreadsheet
+     * in use the first time an entry is written is saved in LEDGER_SPREADSHEET_PROPERTY,
+     * so the ledger stays in one place when the data spreadsheet changes.
+     */
+    LEDGER_SPREADSHEET_ID: null,
+    /** Script property remembering the ledger spreadsheet when LEDGER_SPREADSHEET_ID is null */
+    LEDGER_SPREADSHEET_PROPERTY: 'MIGRATION_LEDGER_SPREADSHEET_ID',
+    /**
+     * Sheet recording every school year validation (dry run), migration, rollback and settings change.
+     * Type is validation, migration, rollback or config_change.
+     */
+    HISTORY_SHEET_NAME: 'Migration History',
+    /** Header row of the migration history sheet */
+    HISTORY_HEADERS: [
+      'Timestamp', 'Migration ID', 'Type', 'User', 'Previous Spreadsheet ID', 'Previous Sheet',
+      'New Spreadsheet ID', 'New Sheet', 'Settings Version', 'Compatibility', 'Outcome', 'Error',
+      'Compatibility Report', 'Details', 'Request ID'
+    ],
+    /** Maximum characters kept in the Compatibility Report and Details cells */
+    MAX_CELL_LENGTH: 45000,
+    /** Number of history entries returned when no limit is given */
+    HISTORY_LIMIT: 100
   },
 
   /**
@@ -119,6 +469,17 @@ const CONFIG = {
     'Warren', 'Reddix'
   ],
 
+  /**
+   * Other spellings of campus names found in the data sheet, mapped to a name in CAMPUSES.
+   * Case, surrounding or repeated spaces and curly apostrophes are ignored without an alias
+   * (see CampusUtils.normalizeCampus). Rows matching neither are listed in the campus data
+   * quality report and shown only to users with full access or the view_diagnostics capability.
+   */
+  CAMPUS_ALIASES: {
+    'OConnor': 'O\'Connor',
+    'O Connor': 'O\'Connor'
+  },
+
   /**
    * Contact information for project stakeholders.
    * @namespace CONFIG.CONTACTS
@@ -151,7 +512,8 @@ const CONFIG = {
 
   /**
    * Legacy email-to-campus mapping for user permissions.
-   * @deprecated This will be migrated to a spreadsheet-based system in future versions.
+   * @deprecated Permissions are now read from the USER_PERMISSIONS_SHEET. This mapping is
+   * only used as a fallback when that sheet does not exist.
    *
    * @description Maps user email addresses to arrays of campus names they can access.
    */
@@ -222,6 +584,45 @@ const CONFIG = {
   }
 };
 
+/**
+ * User roles, from least to most privileged.
+ * @namespace ROLES
+ *
+ * @readonly
+ */
+const ROLES = {
+  /** Can view data for assigned campuses */
+  VIEWER: 'viewer',
+  /** Campus coordinator - can view and export data for assigned campuses */
+  COORDINATOR: 'coordinator',
+  /** District administrator - coordinator rights plus diagnostics and permission management */
+  DISTRICT_ADMIN: 'district_admin',
+  /** Technical administrator - all capabilities including configuration and migrations */
+  TECHNICAL_ADMIN: 'technical_admin'
+};
+
+/**
+ * Named capabilities checked by UserService.authorize().
+ * Roles are mapped to capabilities in CONFIG.SECURITY.ROLE_CAPABILITIES.
+ * @namespace CAPABILITIES
+ *
+ * @readonly
+ */
+const CAPABILITIES = {
+  /** View caseload data for the user's campuses */
+  VIEW_DATA: 'view_data',
+  /** Export caseload data */
+  EXPORT: 'export',
+  /** View user info, configuration and system diagnostics */
+  VIEW_DIAGNOSTICS: 'view_diagnostics',
+  /** Manage user permissions */
+  MANAGE_PERMISSIONS: 'manage_permissions',
+  /** Change application configuration */
+  MANAGE_CONFIG: 'manage_config',
+  /** Run school year migrations and rollbacks */
+  RUN_MIGRATION: 'run_migration'
+};
+
 /**
  * Column name constants for better maintainability and type safety.
  * @namespace COLUMNS
@@ -263,7 +664,9 @@ const ERROR_MESSAGES = {
   /** Error when checking user permissions */
   PERMISSION_ERROR: 'Error checking user permissions',
   /** Error when data is invalid or corrupted */
-  INVALID_DATA: 'Invalid or corrupted data received'
+  INVALID_DATA: 'Invalid or corrupted data received',
+  /** Error when the data sheet lacks a column marked required in COLUMN_SCHEMA */
+  MISSING_REQUIRED_COLUMNS: 'Required columns missing from the data sheet'
 };
 
 /**
@@ -0,0 +1,666 @@
+/**
+ * @fileoverview Runtime settings store for NAHS Caseload Counts application.
+ *
+ * Keeps the settings listed in CONFIG.SETTINGS.FIELDS (spreadsheet, sheet name,
+ * campus and date columns, cache durations and contacts) in Script Properties,
+ * layered over the defaults in Config.js. Saved values are written into CONFIG
+ * at the start of every request, so changes apply without a redeploy. Every
+ * save is validated and creates a new version; earlier versions are kept and
+ * can be restored.
+ *
+ * @namespace ConfigStore
+ * @requires CONFIG - Application configuration constants
+ * @requires AppLogger - Application logging service
+ * @requires MigrationLedger - Records settings changes in the migration history
+ * @requires PropertiesService - Google Apps Script properties service
+ * @requires LockService - Google Apps Script lock service
+ *
+ * @author Alvaro Gomez, Academic Technology Coach
+ * @version 1.0.0
+ * @since 08-06-2025
+ */
+
+/**
+ * Settings store class for reading, validating and saving runtime settings.
+ *
+ * @class ConfigStore
+ * @classdesc Applies stored settings over the CONFIG defaults and versions every change
+ */
+class ConfigStore {
+  /**
+   * Create a ConfigStore instance.
+   * Defaults are captured from CONFIG the first time settings are applied.
+   *
+   * @constructor
+   * @param {Object} [properties=null] - Properties store holding the settings (tests pass an
+   *   in-memory one); defaults to Script Properties
+   */
+  constructor(properties = null) {
+    /** Properties store, or null for Script Properties (see getProperties) */
+    this.properties = properties;
+    /** Default value of each setting, keyed by CONFIG path (see captureDefaults) */
+    this.defaults = null;
+    /** Stored record applied in this execution */
+    this.record = null;
+  }
+
+  /**
+   * Apply the stored settings to CONFIG.
+   * Runs once per execution (beginRequest calls it); later calls return the
+   * record already applied. When the settings cannot be read, CONFIG keeps
+   * the defaults from Config.js.
+   *
+   * @param {boolean} [force=false] - Read Script Properties again
+   * @returns {Object} Applied record as { version, updatedAt, updatedBy, changed, values }
+   *
+   * @example
+   * configStore.load();
+   * // CONFIG.SPREADSHEET.SPREADSHEET_ID now holds the saved spreadsheet, if any
+   */
+  load(force = false) {
+    if (this.record && !force) {
+      return this.record;
+    }
+
+    this.captureDefaults();
+    let record;
+    try {
+      record = this.readRecord();
+    } catch (error) {
+      logWarn('Stored settings unreadable - using defaults', { error: error.message }, 'ConfigStore.load');
+      record = this.emptyRecord();
+    }
+
+    this.applyValues(record.values);
+    this.record = record;
+    if (record.version > 0) {
+      logDebug('Stored settings applied', {
+        version: record.version,
+        overridden: Object.keys(record.values)
+      }, 'ConfigStore.load');
+    }
+    return record;
+  }
+
+  /**
+   * Describe every runtime setting with its current and default value.
+   *
+   * @returns {Object} Settings as { version, updatedAt, updatedBy, fields, history };
+   *   each field is { key, label, group, type, optional, value, defaultValue, overridden }
+   */
+  getSettings() {
+    const record = this.load(true);
+    return {
+      version: record.version,
+      updatedAt: record.updatedAt,
+      updatedBy: record.updatedBy,
+      fields: CONFIG.SETTINGS.FIELDS.map(field => ({
+        key: field.key,
+        label: field.label,
+        group: field.group,
+        type: field.type,
+        optional: !!field.optional,
+        value: this.getPath(field.key),
+        defaultValue: this.defaults[field.key],
+        overridden: Object.prototype.hasOwnProperty.call(record.values, field.key)
+      })),
+      history: this.getHistory().map(entry => ({
+        version: entry.version,
+        updatedAt: entry.updatedAt,
+        updatedBy: entry.updatedBy,
+        changed: entry.changed
+      }))
+    };
+  }
+
+  /**
+   * Validate, store and apply setting changes as a new version.
+   * A null value resets that setting to its default. When a data source setting
+   * changes, the sheet is checked first and cached data is rebuilt afterwards.
+   *
+   * @param {Object} changes - New values keyed by CONFIG path (see CONFIG.SETTINGS.FIELDS)
+   * @param {Object} [options={}] - Save options
+   * @param {number} [options.expectedVersion] - Version the changes were made against;
+   *   the save fails if someone else saved since
+   * @param {string} [options.email] - Email of the admin saving the settings
+   * @param {boolean} [options.checkSheet=true] - Check the data sheet when data source settings change
+   * @param {boolean} [options.ledger=true] - Record the change in the migration history; callers
+   *   that record their own entry (migrations and rollbacks) pass false
+   * @param {Object} [options.details] - Extra details for the migration history entry
+   * @returns {Object} Result as { version, changed, warnings }; changed is empty when
+   *   nothing differed from the current settings and no version was created
+   * @throws {Error} If a value is invalid, the sheet check fails, the version is stale
+   *   or the script lock cannot be obtained
+   *
+   * @example
+   * configStore.save({ 'CACHE.DATA_CACHE_DURATION': 300 }, { expectedVersion: 3, email: 'admin@nisd.net' });
+   */
+  save(changes, options = {}) {
+    const validation = this.validate(changes);
+    if (validation.errors.length > 0) {
+      throw new Error(`Invalid settings: ${validation.errors.join('; ')}`);
+    }
+
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(CONFIG.AUDIT.LOCK_TIMEOUT_MS)) {
+      throw new Error('Could not save the settings - please try again');
+    }
+
+    try {
+      const current = this.load(true);
+      if (options.expectedVersion !== undefined && options.expectedVersion !== null &&
+          Number(options.expectedVersion) !== current.version) {
+        throw new Error(`Settings were changed by ${current.updatedBy || 'another admin'} ` +
+          `(now version ${current.version}) - reload and try again`);
+      }
+
+      const values = this.mergeValues(current.values, validation.values);
+      const changed = CONFIG.SETTINGS.FIELDS
+        .map(field => field.key)
+        .filter(key => !this.isSameValue(this.effectiveValue(current.values, key), this.effectiveValue(values, key)));
+
+      if (changed.length === 0) {
+        return { version: current.version, changed: [], warnings: [] };
+      }
+
+      const sheetChanged = changed.some(key => this.getField(key).sheet);
+      const warnings = sheetChanged && options.checkSheet !== false
+        ? this.checkSheet(values)
+        : [];
+
+      if (sheetChanged) {
+        // Keep the audit log and migration history in their current spreadsheet after the switch
+        try {
+          auditService.pinSpreadsheet();
+          migrationLedger.pinSpreadsheet();
+        } catch (error) {
+          logWarn('Could not pin the audit and migration history spreadsheets', { error: error.message }, 'ConfigStore.save');
+        }
+      }
+
+      const record = {
+        version: current.version + 1,
+        updatedAt: new Date().toISOString(),
+        updatedBy: options.email || null,
+        changed: changed,
+        values: values
+      };
+      this.writeRecord(record, current);
+
+      this.applyValues(values);
+      this.record = record;
+      if (sheetChanged) {
+        this.refreshDataSource(changed);
+      }
+
+      if (options.ledger !== false) {
+        migrationLedger.record({
+          type: 'config_change',
+          user: record.updatedBy,
+          previous: this.getSpreadsheetSettings(current.values),
+          next: this.getSpreadsheetSettings(values),
+          settingsVersion: record.version,
+          outcome: 'applied',
+          details: Object.assign({ changed: changed }, options.details)
+        });
+      }
+
+      logInfo('Settings saved', {
+        version: record.version,
+        changed: changed,
+        updatedBy: record.updatedBy
+      }, 'ConfigStore.save');
+
+      return { version: record.version, changed: changed, warnings: warnings };
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  /**
+   * Save the values of an earlier version as a new version.
+   * Version 0 restores every default.
+   *
+   * @param {number} version - Version to restore
+   * @param {Object} [options={}] - Save options (see save)
+   * @returns {Object} Result from save()
+   * @throws {Error} If the version is not in the history
+   */
+  restore(version, options = {}) {
+    const target = Number(version);
+    const entry = target === 0
+      ? this.emptyRecord()
+      : this.getHistory().find(item => item.version === target);
+    if (!entry) {
+      throw new Error(`Settings version ${version} is not in the history`);
+    }
+
+    const changes = {};
+    CONFIG.SETTINGS.FIELDS.forEach(field => {
+      changes[field.key] = Object.prototype.hasOwnProperty.call(entry.values, field.key)
+        ? entry.values[field.key]
+        : null;
+    });
+    const details = Object.assign({ restoredVersion: target }, options.details);
+    return this.save(changes, Object.assign({}, options, { details: details }));
+  }
+
+  /**
+   * Find the newest earlier version in which a setting had a given value.
+   * The defaults (version 0) are checked after the history.
+   *
+   * @param {string} key - CONFIG path, such as 'SPREADSHEET.SPREADSHEET_ID'
+   * @param {*} value - Value to look for
+   * @returns {number|null} Version number, or null if no recorded version matches
+   */
+  findVersion(key, value) {
+    this.load();
+    const entry = this.getHistory().find(item => this.isSameValue(this.effectiveValue(item.values || {}, key), value));
+    if (entry) {
+      return entry.version;
+    }
+    return this.isSameValue(this.defaults[key], value) ? 0 : null;
+  }
+
+  /**
+   * Get the value a setting had in a recorded version.
+   *
+   * @param {number} version - Version number (0 for the defaults)
+   * @param {string} key - CONFIG path
+   * @returns {*} Value, or undefined if the version is not recorded
+   */
+  getVersionValue(version, key) {
+    const record = this.load();
+    if (version === record.version) {
+      return this.effectiveValue(record.values, key);
+    }
+    const entry = version === 0
+      ? this.emptyRecord()
+      : this.getHistory().find(item => item.version === version);
+    return entry ? this.effectiveValue(entry.values || {}, key) : undefined;
+  }
+
+  /**
+   * Validate and normalize setting changes without saving them.
+   * Lists may be arrays or comma-separated text; spreadsheet IDs may be
+   * pasted as a spreadsheet URL.
+   *
+   * @param {Object} changes - New values keyed by CONFIG path; null resets to the default
+   * @returns {Object} Result as { values, errors }; values holds the normalized changes
+   */
+  validate(changes) {
+    const values = {};
+    const errors = [];
+
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      return { values, errors: ['No settings provided'] };
+    }
+
+    Object.keys(changes).forEach(key => {
+      const field = this.getField(key);
+      if (!field) {
+        errors.push(`Unknown setting "${key}"`);
+        return;
+      }
+
+      const value = changes[key];
+      if (value === null || value === undefined) {
+        values[key] = null;
+        return;
+      }
+
+      try {
+        values[key] = this.normalizeValue(field, value);
+      } catch (error) {
+        errors.push(`${field.label}: ${error.message}`);
+      }
+    });
+
+    return { values, errors };
+  }
+
+  /**
+   * Normalize one value for its field type.
+   *
+   * @param {Object} field - Field definition from CONFIG.SETTINGS.FIELDS
+   * @param {*} value - Submitted value
+   * @returns {*} Normalized value
+   * @throws {Error} If the value is not valid for the field
+   * @private
+   */
+  normalizeValue(field, value) {
+    if (field.type === 'list') {
+      const items = (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(item => item !== '');
+      if (items.length === 0) {
+        throw new Error('enter at least one value');
+      }
+      return ArrayUtils.removeDuplicates(items);
+    }
+
+    if (field.type === 'seconds') {
+      const seconds = Number(value);
+      if (!Number.isInteger(seconds) || seconds < 1 || seconds > CONFIG.SETTINGS.MAX_CACHE_SECONDS) {
+        throw new Error(`must be a whole number from 1 to ${CONFIG.SETTINGS.MAX_CACHE_SECONDS}`);
+      }
+      return seconds;
+    }
+
+    const text = String(value).trim();
+    if (text === '') {
+      if (field.optional) {
+        return '';
+      }
+      throw new Error('is required');
+    }
+    if (text.length > 200) {
+      throw new Error('must be 200 characters or fewer');
+    }
+
+    if (field.type === 'spreadsheetId') {
+      const match = text.match(/\/d\/([A-Za-z0-9_-]+)/);
+      const id = match ? match[1] : text;
+      if (!/^[A-Za-z0-9_-]{20,100}$/.test(id)) {
+        throw new Error('is not a valid spreadsheet ID or URL');
+      }
+      return id;
+    }
+
+    if (field.type === 'email') {
+      if (!ValidationUtils.isValidEmail(text)) {
+        throw new Error(ERROR_MESSAGES.INVALID_EMAIL);
+      }
+      return text.toLowerCase();
+    }
+
+    return text;
+  }
+
+  /**
+   * Check that the data sheet named by a set of values can be used.
+   * The user permissions sheet is read from the data spreadsheet too, so while the
+   * current spreadsheet has one, the new spreadsheet must have it as well; otherwise
+   * every user would silently fall back to the legacy campus mapping.
+   *
+   * @param {Object} values - Stored values (overrides only)
+   * @returns {Array<string>} Warnings, such as date columns missing from the sheet
+   * @throws {Error} If the spreadsheet, sheet, campus column or user permissions sheet cannot be found
+   * @private
+   */
+  checkSheet(values) {
+    const spreadsheetId = this.effectiveValue(values, 'SPREADSHEET.SPREADSHEET_ID');
+    const sheetName = this.effectiveValue(values, 'SPREADSHEET.SHEET_NAME');
+    const campusColumn = this.effectiveValue(values, 'SPREADSHEET.CAMPUS_COLUMN');
+    const dateColumns = this.effectiveValue(values, 'SPREADSHEET.DATE_COLUMNS');
+    const permissionsSheetName = CONFIG.SPREADSHEET.USER_PERMISSIONS_SHEET;
+
+    let spreadsheet;
+    let sheet;
+    try {
+      spreadsheet = SpreadsheetApp.openById(spreadsheetId);
+      sheet = spreadsheet.getSheetByName(sheetName);
+    } catch (error) {
+      throw new Error(`Cannot open spreadsheet ${spreadsheetId}: ${error.message}`);
+    }
+    if (!sheet) {
+      throw new Error(`Sheet "${sheetName}" not found in spreadsheet ${spreadsheetId}`);
+    }
+    if (sheet.getLastRow() < 1) {
+      throw new Error(`Sheet "${sheetName}" has no header row`);
+    }
+
+    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    if (dataService.getColumnIndex(headers, campusColumn) === -1) {
+      throw new Error(`Campus column "${campusColumn}" not found in sheet "${sheetName}"`);
+    }
+
+    const warnings = dateColumns
+      .filter(column => dataService.findHeaderIndex(headers, column) === -1)
+      .map(column => `Date column "${column}" not found in sheet "${sheetName}"`);
+
+    if (!spreadsheet.getSheetByName(permissionsSheetName)) {
+      // An unreadable current spreadsheet (the usual reason for a rollback) must not block the switch
+      let currentTable = null;
+      try {
+        currentTable = userService.getPermissionsTable();
+      } catch (error) {
+        warnings.push(`Sheet "${permissionsSheetName}" not found in spreadsheet ${spreadsheetId}, and the ` +
+          `current spreadsheet could not be read to compare (${error.message}) - users fall back to the legacy campus mapping`);
+      }
+      if (currentTable) {
+        throw new Error(`Sheet "${permissionsSheetName}" not found in spreadsheet ${spreadsheetId} - ` +
+          'copy it from the current spreadsheet first, or every user would fall back to the legacy campus mapping');
+      }
+    }
+    return warnings;
+  }
+
+  /**
+   * Point the data service at the new sheet and rebuild cached data.
+   * The change trigger is moved to the new spreadsheet when it was installed.
+   *
+   * @param {Array<string>} changed - Keys of the settings that changed
+   * @private
+   */
+  refreshDataSource(changed) {
+    dataService.spreadsheet = null;
+    dataService.currentCaseloadSheet = null;
+    dataService.invalidateCampusCache('settings change');
+
+    if (changed.indexOf('SPREADSHEET.SPREADSHEET_ID') === -1) {
+      return;
+    }
+    try {
+      if (triggerService.getStatus().changeDetection.enabled) {
+        triggerService.setChangeDetectionEnabled(true);
+      }
+    } catch (error) {
+      logWarn('Could not move the change trigger to the new spreadsheet', {
+        error: error.message
+      }, 'ConfigStore.refreshDataSource');
+    }
+  }
+
+  /**
+   * Data source named by a set of overrides.
+   * @param {Object} values - Overrides keyed by CONFIG path
+   * @returns {Object} Data source as { spreadsheetId, sheetName }
+   * @private
+   */
+  getSpreadsheetSettings(values) {
+    return {
+      spreadsheetId: this.effectiveValue(values, 'SPREADSHEET.SPREADSHEET_ID'),
+      sheetName: this.effectiveValue(values, 'SPREADSHEET.SHEET_NAME')
+    };
+  }
+
+  /**
+   * Get earlier versions of the settings, newest first.
+   * @returns {Array<Object>} Records as { version, updatedAt, updatedBy, changed, values }
+   */
+  getHistory() {
+    try {
+      const raw = this.getProperties().getProperty(CONFIG.SETTINGS.HISTORY_PROPERTY);
+      const history = raw ? JSON.parse(raw) : [];
+      return Array.isArray(history) ? history : [];
+    } catch (error) {
+      logWarn('Settings history unreadable - treating as empty', { error: error.message }, 'ConfigStore.getHistory');
+      return [];
+    }
+  }
+
+  /**
+   * Properties store the settings are kept in.
+   * @returns {Object} Store given to the constructor, or Script Properties
+   * @private
+   */
+  getProperties() {
+    return this.properties || PropertiesService.getScriptProperties();
+  }
+
+  /**
+   * Read the stored record from Script Properties.
+   * @returns {Object} Stored record, or an empty record when nothing is saved
+   * @private
+   */
+  readRecord() {
+    const raw = this.getProperties().getProperty(CONFIG.SETTINGS.PROPERTY);
+    if (!raw) {
+      return this.emptyRecord();
+    }
+
+    const record = JSON.parse(raw);
+    const values = {};
+    Object.keys(record.values || {}).forEach(key => {
+      if (this.getField(key)) {
+        values[key] = record.values[key];
+      }
+    });
+    return Object.assign(this.emptyRecord(), record, { values: values });
+  }
+
+  /**
+   * Write a new record and move the previous one into the history.
+   * The oldest versions are dropped to stay within the property size limit.
+   *
+   * @param {Object} record - New record
+   * @param {Object} previous - Record being replaced
+   * @private
+   */
+  writeRecord(record, previous) {
+    const history = previous.version > 0 ? [previous].concat(this.getHistory()) : this.getHistory();
+    let trimmed = history.slice(0, CONFIG.SETTINGS.HISTORY_SIZE);
+    while (trimmed.length > 0 && JSON.stringify(trimmed).length > CONFIG.SETTINGS.MAX_PROPERTY_LENGTH) {
+      trimmed = trimmed.slice(0, -1);
+    }
+
+    this.getProperties().setProperties({
+      [CONFIG.SETTINGS.PROPERTY]: JSON.stringify(record),
+      [CONFIG.SETTINGS.HISTORY_PROPERTY]: JSON.stringify(trimmed)
+    });
+  }
+
+  /**
+   * Record used when no settings have been saved.
+   * @returns {Object} Version 0 record with no overrides
+   * @private
+   */
+  emptyRecord() {
+    return { version: 0, updatedAt: null, updatedBy: null, changed: [], values: {} };
+  }
+
+  /**
+   * Combine stored overrides with normalized changes.
+   * Values equal to the default are dropped, so later default changes in
+   * Config.js take effect for them.
+   *
+   * @param {Object} stored - Current overrides
+   * @param {Object} changes - Normalized changes (null resets to the default)
+   * @returns {Object} New overrides
+   * @private
+   */
+  mergeValues(stored, changes) {
+    const values = Object.assign({}, stored);
+    Object.keys(changes).forEach(key => {
+      if (changes[key] === null || this.isSameValue(changes[key], this.defaults[key])) {
+        delete values[key];
+      } else {
+        values[key] = changes[key];
+      }
+    });
+    return values;
+  }
+
+  /**
+   * Write overrides, or the defaults for settings without one, into CONFIG.
+   * @param {Object} values - Overrides keyed by CONFIG path
+   * @private
+   */
+  applyValues(values) {
+    CONFIG.SETTINGS.FIELDS.forEach(field => {
+      this.setPath(field.key, this.copy(this.effectiveValue(values, field.key)));
+    });
+  }
+
+  /**
+   * Capture the Config.js value of every setting before any override is applied.
+   * @private
+   */
+  captureDefaults() {
+    if (this.defaults) {
+      return;
+    }
+    this.defaults = {};
+    CONFIG.SETTINGS.FIELDS.forEach(field => {
+      this.defaults[field.key] = this.copy(this.getPath(field.key));
+    });
+  }
+
+  /**
+   * Value of a setting given a set of overrides.
+   * @param {Object} values - Overrides keyed by CONFIG path
+   * @param {string} key - CONFIG path
+   * @returns {*} Override, or the default
+   * @private
+   */
+  effectiveValue(values, key) {
+    return Object.prototype.hasOwnProperty.call(values, key) ? values[key] : this.defaults[key];
+  }
+
+  /**
+   * Find a field definition.
+   * @param {string} key - CONFIG path
+   * @returns {Object|undefined} Field from CONFIG.SETTINGS.FIELDS
+   * @private
+   */
+  getField(key) {
+    return CONFIG.SETTINGS.FIELDS.find(field => field.key === key);
+  }
+
+  /**
+   * Read a value from CONFIG by path.
+   * @param {string} key - Dot-separated path such as 'CACHE.DATA_CACHE_DURATION'
+   * @returns {*} Value
+   * @private
+   */
+  getPath(key) {
+    return key.split('.').reduce((node, part) => (node ? node[part] : undefined), CONFIG);
+  }
+
+  /**
+   * Write a value into CONFIG by path.
+   * @param {string} key - Dot-separated path
+   * @param {*} value - Value to write
+   * @private
+   */
+  setPath(key, value) {
+    const parts = key.split('.');
+    const parent = parts.slice(0, -1).reduce((node, part) => node[part], CONFIG);
+    parent[parts[parts.length - 1]] = value;
+  }
+
+  /**
+   * Compare two setting values.
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @returns {boolean} True if the values are equal
+   * @private
+   */
+  isSameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  /**
+   * Copy a setting value so CONFIG and the stored values never share arrays.
+   * @param {*} value - Value to copy
+   * @returns {*} Copy
+   * @private
+   */
+  copy(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+}
+
+// Global instance
+const configStore = new ConfigStore();
@@ -28,12 +28,11 @@
 class DataService {
   /**
    * Create a DataService instance.
-   * Initializes caching and spreadsheet connection properties.
+   * Initializes spreadsheet connection properties; caching goes through CacheUtils.
    * 
    * @constructor
    */
   constructor() {
-    this.cache = CacheService.getScriptCache();
     this.spreadsheet = null;
     this.currentCaseloadSheet = null;
   }
@@ -173,7 +172,8 @@ class DataService {
 
   /**
    * Filter data based on user's accessible campuses.
-   * Returns only rows where the campus column matches user's permitted campuses.
+   * Returns only rows whose campus, after normalization (see CampusUtils.normalizeCampus), is one of
+   * the user's permitted campuses.
    * 
    * @param {Array<Array<*>>} data - Raw spreadsheet data including headers
    * @param {Array<string>} userCampuses - List of campus codes user can access
@@ -218,7 +218,7 @@ class DataService {
       // Filter data for specific campuses
       const filteredRows = data.filter((row, index) => {
         if (index === 0) return true; // Keep headers
-        return userCampuses.includes(row[campusIndex]);
+        return userCampuses.includes(CampusUtils.normalizeCampus(row[campusIndex]));
       });
 
       logInfo('Data filtered by campuses', {
@@ -391,7 +391,7 @@ class DataService {
     try {
       const dateColumns = CONFIG.SPREADSHEET.DATE_COLUMNS;
       const indexes = dateColumns
-        .map(col => this.getColumnIndex(headers, col))
+        .map(col => this.findHeaderIndex(headers, col))
         .filter(idx => idx !== -1);
       
       logDebug('Date column indexes identified', {
@@ -409,7 +409,7 @@ class DataService {
   /**
    * Process complete data for a user (main data processing pipeline)
    * @param {string} userEmail - User's email address
-   * @returns {Array} Processed and filtered data
+   * @returns {Array} Processed and filtered data (JSON-safe; dates formatted as strings)
    */
   getProcessedDataForUser(userEmail) {
     try {
@@ -423,21 +423,19 @@ class DataService {
         return [];
       }
 
-      // Get raw data
-      const rawData = this.getRawData();
-      const headers = this.getHeaders(rawData);
+      // Assemble the user's campuses from the shared cache, then keep only the
+      // columns this user's role (or permissions entry) allows
+      const filteredData = this.getCampusData(userCampuses);
+      const visibleColumns = userService.getVisibleColumns(userEmail);
+      const columns = this.resolveColumnSchema(this.getHeaders(filteredData))
+        .filter(column => visibleColumns.includes(column.header));
 
-      // Filter by campuses
-      const filteredData = this.filterDataByCampuses(rawData, userCampuses);
-
-      // Remove specified columns
-      const dataWithoutColumns = this.removeColumns(filteredData, CONFIG.SPREADSHEET.COLUMNS_TO_REMOVE);
+      // Keep only the schema columns, in schema order
+      const selectedData = this.selectColumns(filteredData, columns);
 
       // Format dates
-      const dateColumnIndexes = this.getDateColumnIndexes(headers);
-      // Adjust date column indexes after column removal
-      const adjustedDateIndexes = this.adjustColumnIndexesAfterRemoval(dateColumnIndexes, CONFIG.SPREADSHEET.COLUMNS_TO_REMOVE);
-      const finalData = this.formatDates(dataWithoutColumns, adjustedDateIndexes);
+      const dateColumnIndexes = this.getDateColumnIndexes(columns.map(column => column.header));
+      const finalData = this.formatDates(selectedData, dateColumnIndexes);
 
       logInfo('Data processing completed', {
         userEmail: userEmail,
@@ -457,90 +455,729 @@ class DataService {
   }
 
   /**
-   * Adjust column indexes after columns have been removed
-   * @param {Array} originalIndexes - Original column indexes
-   * @param {Array} removedIndexes - Indexes of removed columns
-   * @returns {Array} Adjusted column indexes
+   * Resolve the column schema against the live header row.
+   * Headers are matched by name (trimmed, case-insensitive), so inserting or moving
+   * columns in the sheet cannot expose unlisted data. Columns not in the schema are never returned.
+   *
+   * @param {Array<string>} headers - Header row of the data sheet
+   * @param {Array<Object>} [schema=CONFIG.SPREADSHEET.COLUMN_SCHEMA] - Visible columns in display order
+   * @returns {Array<Object>} Resolved columns as { header, label, index }, in schema order
+   * @throws {Error} If a required column is missing from the headers
+   *
+   * @example
+   * const headers = ['STUDENT ID', 'NOTES', 'HOME CAMPUS'];
+   * const columns = dataService.resolveColumnSchema(headers, [
+   *   { header: 'HOME CAMPUS', required: true },
+   *   { header: 'STUDENT ID', label: 'ID' }
+   * ]);
+   * // [{ header: 'HOME CAMPUS', label: 'HOME CAMPUS', index: 2 }, { header: 'STUDENT ID', label: 'ID', index: 0 }]
    */
-  adjustColumnIndexesAfterRemoval(originalIndexes, removedIndexes) {
-    try {
-      const sortedRemovedIndexes = [...removedIndexes].sort((a, b) => a - b);
-      
-      return originalIndexes.map(originalIndex => {
-        let adjustedIndex = originalIndex;
-        sortedRemovedIndexes.forEach(removedIndex => {
-          if (removedIndex < originalIndex) {
-            adjustedIndex--;
-          }
-        });
-        return adjustedIndex;
-      }).filter(index => index >= 0); // Remove any invalid indexes
-    } catch (error) {
-      logError('Failed to adjust column indexes', { 
-        error: error.message, 
-        originalIndexes, 
-        removedIndexes 
-      }, 'DataService.adjustColumnIndexesAfterRemoval');
-      return originalIndexes;
+  resolveColumnSchema(headers, schema = CONFIG.SPREADSHEET.COLUMN_SCHEMA) {
+    const columns = [];
+    const missing = [];
+    const missingRequired = [];
+
+    schema.forEach(column => {
+      const index = this.findHeaderIndex(headers, column.header);
+      if (index === -1) {
+        missing.push(column.header);
+        if (column.required) {
+          missingRequired.push(column.header);
+        }
+        return;
+      }
+      columns.push({
+        header: column.header,
+        label: column.label || String(column.header).trim(),
+        index: index
+      });
+    });
+
+    if (missingRequired.length > 0) {
+      logError('Required columns missing from data sheet', {
+        missingRequired: missingRequired,
+        headers: headers
+      }, 'DataService.resolveColumnSchema');
+      throw new Error(`${ERROR_MESSAGES.MISSING_REQUIRED_COLUMNS}: ${missingRequired.join(', ')}`);
+    }
+
+    if (missing.length > 0) {
+      logWarn('Optional schema columns not found in data sheet', { missing }, 'DataService.resolveColumnSchema');
+    }
+
+    return columns;
+  }
+
+  /**
+   * Find a header by name, ignoring surrounding whitespace and case.
+   * @param {Array<string>} headers - Header row
+   * @param {string} name - Header name to find
+   * @returns {number} Index of the first matching header, or -1
+   * @private
+   */
+  findHeaderIndex(headers, name) {
+    const target = String(name).trim().toUpperCase();
+    return headers.findIndex(header => String(header).trim().toUpperCase() === target);
+  }
+
+  /**
+   * Build a dataset containing only the resolved schema columns.
+   * The header row uses each column's display label.
+   *
+   * @param {Array<Array<*>>} data - Data including headers
+   * @param {Array<Object>} columns - Resolved columns from resolveColumnSchema()
+   * @returns {Array<Array<*>>} New dataset with the selected columns in schema order
+   */
+  selectColumns(data, columns) {
+    if (!data || data.length === 0) {
+      return data;
     }
+
+    return data.map((row, rowIndex) => {
+      if (rowIndex === 0) {
+        return columns.map(column => column.label);
+      }
+      return columns.map(column => row[column.index]);
+    });
   }
 
   /**
-   * Get cached data for user or fetch fresh data
+   * Get data for a user, assembled from the shared campus cache
    * @param {string} userEmail - User's email address
-   * @returns {Array} Processed data
+   * @returns {Array} Processed data (see getProcessedDataForUser)
    */
   getCachedDataForUser(userEmail) {
+    return this.getProcessedDataForUser(userEmail);
+  }
+
+  /**
+   * Get schema columns for a set of campuses from the shared campus cache.
+   * The sheet is read and split per campus at most once per cache lifetime, however
+   * many users ask for it; each call only reads the slices it needs. Users with
+   * full access get every slice, including rows whose campus is not in CONFIG.CAMPUSES;
+   * everyone else only sees those rows' sheet row numbers in getCampusDataQuality.
+   *
+   * @param {Array<string>} userCampuses - Campuses the user can access
+   * @returns {Array<Array<*>>} Header row of canonical schema headers (including the computed
+   *   compliance columns), then rows in sheet order with JSON-safe values (dates as ISO strings)
+   */
+  getCampusData(userCampuses) {
+    const fullAccess = userCampuses.length >= CONFIG.SECURITY.FULL_ACCESS_CAMPUS_COUNT;
+    const index = CacheUtils.getLarge(this.getCampusIndexKey(), null);
+    let snapshot = index
+      ? this.readCampusSlices(index, fullAccess ? null : userCampuses)
+      : null;
+
+    if (snapshot) {
+      CacheUtils.recordMetric('campus', 'hits');
+    } else {
+      CacheUtils.recordMetric('campus', 'misses');
+      snapshot = this.rebuildCampusCache();
+    }
+
+    const campuses = fullAccess
+      ? Object.keys(snapshot.slices)
+      : userCampuses.map(String);
+    const rows = [];
+    campuses.forEach(campus => {
+      (snapshot.slices[campus] || []).forEach(row => rows.push(row));
+    });
+
+    // Slice rows start with their sheet row number; restore sheet order and drop it
+    rows.sort((a, b) => a[0] - b[0]);
+    const data = [snapshot.headers, ...rows.map(row => row.slice(1))];
+
+    // Compliance depends on today's date, so it is computed per request rather than cached
+    return complianceService.appendComplianceColumns(data);
+  }
+
+  /**
+   * Read campus slices listed in the campus index.
+   * Campuses missing from the index have no rows; a listed slice that is missing
+   * from the cache makes the whole read a miss.
+   *
+   * @param {Object} index - Campus index from the cache
+   * @param {Array<string>|null} campuses - Campuses to read, or null for all
+   * @returns {Object|null} Snapshot as { headers, slices, quality }, or null on a miss
+   * @private
+   */
+  readCampusSlices(index, campuses) {
+    const slices = {};
+    const wanted = campuses ? campuses.map(String) : Object.keys(index.slices);
+
+    for (let i = 0; i < wanted.length; i++) {
+      const campus = wanted[i];
+      if (!index.slices[campus]) {
+        continue;
+      }
+      const rows = CacheUtils.getLarge(index.slices[campus], null);
+      if (!rows) {
+        logDebug('Campus slice missing - rebuilding', { campus }, 'DataService.readCampusSlices');
+        return null;
+      }
+      slices[campus] = rows;
+    }
+
+    return { headers: index.headers, slices: slices, quality: index.quality || null };
+  }
+
+  /**
+   * Read the sheet once and cache it as one slice per campus plus an index.
+   * Slice keys include a build ID and the index is written last, so readers never
+   * combine slices from two builds. A script lock keeps concurrent cache misses
+   * from all reading the sheet; an execution that waited reuses the finished build.
+   *
+   * @param {Object} [options={}] - Build options
+   * @param {boolean} [options.force=false] - Read the sheet even if a complete build is cached
+   * @param {number} [options.duration=CONFIG.CACHE.DATA_CACHE_DURATION] - Seconds to keep the build
+   * @returns {Object} Snapshot as { headers, slices, quality }
+   */
+  rebuildCampusCache(options = {}) {
+    const duration = options.duration || CONFIG.CACHE.DATA_CACHE_DURATION;
+    const lock = LockService.getScriptLock();
+    const locked = lock.tryLock(CONFIG.CACHE.BUILD_LOCK_TIMEOUT_MS);
+
     try {
-      const cacheKey = `${CONFIG.CACHE.PREFIX}data_${userEmail}`;
-      const cached = this.cache.get(cacheKey);
-      
-      if (cached) {
-        logDebug('Data retrieved from cache for user', { userEmail }, 'DataService.getCachedDataForUser');
-        return JSON.parse(cached);
+      // Key chosen before the sheet is read: if the sheet changes during the build,
+      // the generation moves on and this build is never served
+      const indexKey = this.getCampusIndexKey();
+      let previous = null;
+      if (locked) {
+        previous = CacheUtils.getLarge(indexKey, null);
+        const snapshot = previous && !options.force ? this.readCampusSlices(previous, null) : null;
+        if (snapshot) {
+          logDebug('Campus cache built by another request', null, 'DataService.rebuildCampusCache');
+          return snapshot;
+        }
+      } else {
+        logWarn('Could not obtain lock to build campus cache - reading sheet without caching', null, 'DataService.rebuildCampusCache');
       }
 
-      // Get fresh data
-      const data = this.getProcessedDataForUser(userEmail);
-      
-      // Cache the data
-      try {
-        this.cache.put(cacheKey, JSON.stringify(data), CONFIG.CACHE.DATA_CACHE_DURATION);
-        logDebug('Data cached for user', { userEmail }, 'DataService.getCachedDataForUser');
-      } catch (cacheError) {
-        logWarn('Failed to cache data for user', { 
-          error: cacheError.message, 
-          userEmail 
-        }, 'DataService.getCachedDataForUser');
+      const startTime = new Date();
+      const snapshot = this.buildCampusSlices(this.getRawData());
+
+      if (locked) {
+        const buildId = Utilities.getUuid().slice(0, 8);
+        const index = { headers: snapshot.headers, slices: {}, quality: snapshot.quality, builtAt: new Date().toISOString() };
+
+        Object.keys(snapshot.slices).forEach(campus => {
+          const key = `${CONFIG.CACHE.PREFIX}campus_${buildId}_${this.digestKey(campus)}`;
+          if (CacheUtils.putLarge(key, snapshot.slices[campus], duration, null)) {
+            index.slices[campus] = key;
+          }
+        });
+
+        // Only publish the index if every slice was stored, then drop the previous build
+        if (Object.keys(index.slices).length === Object.keys(snapshot.slices).length) {
+          CacheUtils.putLarge(indexKey, index, duration, 'campus');
+          if (previous) {
+            this.removeCampusSlices(previous);
+          }
+        }
       }
 
-      return data;
+      logInfo('Campus cache built', {
+        campusCount: Object.keys(snapshot.slices).length,
+        rowCount: snapshot.rowCount,
+        unmatchedRows: snapshot.quality.unmatchedRows
+      }, 'DataService.rebuildCampusCache');
+      if (snapshot.quality.unmatchedRows > 0) {
+        logWarn('Rows with unknown campus values', {
+          unmatchedRows: snapshot.quality.unmatchedRows,
+          values: snapshot.quality.unmatched.map(item => item.value)
+        }, 'DataService.rebuildCampusCache');
+      }
+      logPerformance('rebuildCampusCache', startTime);
+
+      return snapshot;
+    } finally {
+      if (locked) {
+        lock.releaseLock();
+      }
+    }
+  }
+
+  /**
+   * Split raw sheet data into per-campus slices of schema columns.
+   * Every schema column read from the sheet is kept (role rules are applied per user later), values
+   * are made JSON-safe, and each row is prefixed with its data row number. Campus values are
+   * normalized (see CampusUtils.normalizeCampus); rows matching no campus keep their value and are sliced
+   * under it, and are listed in the quality report.
+   *
+   * @param {Array<Array<*>>} rawData - Raw spreadsheet data with headers in first row
+   * @returns {Object} Snapshot as { headers, slices: { campus: rows }, rowCount, quality }
+   *   (quality as returned by getCampusDataQuality)
+   * @throws {Error} If a required column is missing from the headers
+   *
+   * @example
+   * const snapshot = dataService.buildCampusSlices([
+   *   ['HOME CAMPUS', 'STUDENT ID'], ['Clark', 1], ['taft ', 2]
+   * ]);
+   * // snapshot.slices: { Clark: [[1, 'Clark', 1]], Taft: [[2, 'Taft', 2]] } (with the full schema)
+   */
+  buildCampusSlices(rawData) {
+    const sheetColumns = CONFIG.SPREADSHEET.COLUMN_SCHEMA.filter(column => !column.computed);
+    const columns = this.resolveColumnSchema(this.getHeaders(rawData), sheetColumns);
+    const headers = columns.map(column => column.header);
+    const campusIndex = this.getColumnIndex(headers, CONFIG.SPREADSHEET.CAMPUS_COLUMN);
+    const rows = JSON.parse(JSON.stringify(
+      rawData.slice(1).map((row, rowIndex) => [rowIndex + 1, ...columns.map(column => row[column.index])])
+    ));
+
+    const slices = {};
+    const unmatched = {};
+    const normalized = {};
+    rows.forEach(row => {
+      const value = row[campusIndex + 1];
+      const text = value === null || value === undefined ? '' : String(value);
+      const campus = CampusUtils.normalizeCampus(text);
+
+      if (!campus) {
+        (slices[text] = slices[text] || []).push(row);
+        (unmatched[text] = unmatched[text] || []).push(row[0] + 1);
+        return;
+      }
+      if (campus !== text) {
+        row[campusIndex + 1] = campus;
+        normalized[text] = normalized[text] || { value: text, campus: campus, rows: 0 };
+        normalized[text].rows++;
+      }
+      (slices[campus] = slices[campus] || []).push(row);
+    });
+
+    const unmatchedValues = Object.keys(unmatched).map(value => ({
+      value: value,
+      rows: unmatched[value].length,
+      sheetRows: unmatched[value],
+      suggestion: CampusUtils.suggestCampus(value)
+    }));
+
+    return {
+      headers: headers,
+      slices: slices,
+      rowCount: rows.length,
+      quality: {
+        checkedAt: new Date().toISOString(),
+        campusColumn: CONFIG.SPREADSHEET.CAMPUS_COLUMN,
+        totalRows: rows.length,
+        missingColumns: sheetColumns
+          .map(column => column.header)
+          .filter(header => !headers.includes(header)),
+        unmatchedRows: unmatchedValues.reduce((total, item) => total + item.rows, 0),
+        unmatched: unmatchedValues.sort((a, b) => b.rows - a.rows),
+        normalized: Object.keys(normalized).map(value => normalized[value]).sort((a, b) => b.rows - a.rows)
+      }
+    };
+  }
+
+  /**
+   * Get the campus data quality report of the cached build (reading the sheet on a miss):
+   * schema columns whose header was not found in the sheet, rows whose campus matches no
+   * campus in CONFIG.CAMPUSES or CONFIG.CAMPUS_ALIASES, and values that only matched after
+   * normalization.
+   *
+   * @returns {Object} Report as { checkedAt, campusColumn, totalRows, missingColumns, unmatchedRows,
+   *   unmatched: [{ value, rows, sheetRows, suggestion }], normalized: [{ value, campus, rows }] }
+   *
+   * @example
+   * const report = dataService.getCampusDataQuality();
+   * // report.unmatched: [{ value: 'Nowhere', rows: 2, sheetRows: [14, 37], suggestion: null }]
+   */
+  getCampusDataQuality() {
+    const index = CacheUtils.getLarge(this.getCampusIndexKey(), null);
+    if (index && index.quality) {
+      return index.quality;
+    }
+    return this.rebuildCampusCache().quality;
+  }
+
+  /**
+   * Invalidate the shared campus cache.
+   * This is the single path for discarding cached caseload data: it bumps the cache
+   * generation, so every user's next request rebuilds the slices from the sheet.
+   * @param {string} reason - Why the cache is being cleared (logged)
+   */
+  invalidateCampusCache(reason) {
+    try {
+      const indexKey = this.getCampusIndexKey();
+      const index = CacheUtils.getLarge(indexKey, null);
+      const generation = CacheUtils.bumpGeneration();
+
+      // The old build is already unreachable; removing it only frees cache space
+      CacheUtils.removeLarge(indexKey);
+      if (index) {
+        this.removeCampusSlices(index);
+      }
+      logInfo('Campus cache invalidated', { reason, generation }, 'DataService.invalidateCampusCache');
     } catch (error) {
-      logError('Failed to get cached data for user', { 
-        error: error.message, 
-        userEmail 
-      }, 'DataService.getCachedDataForUser');
-      throw error;
+      logWarn('Failed to invalidate campus cache', {
+        error: error.message,
+        reason
+      }, 'DataService.invalidateCampusCache');
     }
   }
 
   /**
-   * Clear data cache for a specific user
-   * @param {string} userEmail - User's email address
+   * Remove the slices listed in a campus index.
+   * @param {Object} index - Campus index
+   * @private
+   */
+  removeCampusSlices(index) {
+    Object.keys(index.slices).forEach(campus => CacheUtils.removeLarge(index.slices[campus]));
+  }
+
+  /**
+   * Cache key of the campus index for the current cache generation.
+   * @returns {string} Cache key
+   * @private
+   */
+  getCampusIndexKey() {
+    return `${CONFIG.CACHE.PREFIX}campus_index_${CacheUtils.getGeneration()}`;
+  }
+
+  /**
+   * Short hex digest of a value, for use in cache keys.
+   * @param {string} value - Value to digest
+   * @returns {string} First 12 hex characters of the MD5 digest
+   * @private
+   */
+  digestKey(value) {
+    return Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, String(value))
+      .map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0'))
+      .join('')
+      .slice(0, 12);
+  }
+
+  /**
+   * Clear cached data (kept for callers that clear per user).
+   * Data is cached per campus and shared, so this invalidates the shared cache.
+   * @param {string} userEmail - User who requested the clear (logged)
    */
   clearDataCache(userEmail) {
+    this.invalidateCampusCache(`cleared by ${userEmail}`);
+  }
+
+  /**
+   * Apply column filters, a search term and a multi-column sort to processed data.
+   * Filters and sort columns refer to the display headers of the data, so users can
+   * only filter or sort on columns they are allowed to see.
+   *
+   * @param {Array<Array<*>>} data - Processed data including headers
+   * @param {Object} [query={}] - Query options
+   * @param {string} [query.search] - Case-insensitive text matched against every column
+   * @param {Object<string, string>} [query.filters] - Exact (case-insensitive) values by column header
+   * @param {boolean} [query.needsAttention] - Only rows whose overall compliance status is not on time
+   * @param {Array<Object>} [query.sort] - Sort keys as { column, direction: 'asc'|'desc' }, in priority order
+   * @returns {Array<Array<*>>} Matching data including headers
+   * @throws {Error} If a filter or sort column (or the compliance column, for needsAttention)
+   *   is not one of the data headers
+   *
+   * @example
+   * const result = dataService.searchData(data, {
+   *   search: 'smith',
+   *   filters: { 'HOME CAMPUS': 'Clark' },
+   *   sort: [{ column: 'GRADE', direction: 'asc' }, { column: 'ENTRY DATE', direction: 'desc' }]
+   * });
+   */
+  searchData(data, query = {}) {
+    if (!data || data.length === 0) {
+      return [];
+    }
+
+    const headers = data[0];
+    const indexOfColumn = column => {
+      const index = headers.indexOf(column);
+      if (index === -1) {
+        throw new Error(`Unknown column "${column}"`);
+      }
+      return index;
+    };
+
+    let rows = data.slice(1);
+
+    const filters = query.filters || {};
+    Object.keys(filters).forEach(column => {
+      const value = filters[column];
+      if (value === null || value === undefined || String(value).trim() === '') {
+        return;
+      }
+      const index = indexOfColumn(column);
+      const target = String(value).trim().toLowerCase();
+      rows = rows.filter(row => String(row[index]).trim().toLowerCase() === target);
+    });
+
+    if (query.needsAttention) {
+      const index = indexOfColumn(CONFIG.COMPLIANCE.COLUMNS.OVERALL);
+      rows = rows.filter(row => row[index] !== CONFIG.COMPLIANCE.STATUSES.ON_TIME);
+    }
+
+    const search = String(query.search || '').trim().toLowerCase();
+    if (search) {
+      rows = rows.filter(row => row.some(cell =>
+        cell !== null && cell !== undefined && String(cell).toLowerCase().includes(search)));
+    }
+
+    const sortKeys = (query.sort || []).map(key => ({
+      index: indexOfColumn(key.column),
+      direction: key.direction === 'desc' ? -1 : 1
+    }));
+    if (sortKeys.length > 0) {
+      rows = rows.slice().sort((a, b) => {
+        for (const key of sortKeys) {
+          const result = this.compareCells(a[key.index], b[key.index], key.direction);
+          if (result !== 0) {
+            return result;
+          }
+        }
+        return 0;
+      });
+    }
+
+    return [headers, ...rows];
+  }
+
+  /**
+   * Run a search and return one page of results.
+   *
+   * @param {Array<Array<*>>} data - Processed data including headers
+   * @param {Object} [query={}] - Query options (see searchData) plus paging
+   * @param {number} [query.page=1] - Page number (1-based, clamped to the last page)
+   * @param {number} [query.pageSize=CONFIG.PAGINATION.DEFAULT_PAGE_SIZE] - Rows per page,
+   *   capped at CONFIG.PAGINATION.MAX_PAGE_SIZE
+   * @returns {Object} Page of results
+   * @returns {Array<string>} return.headers - Column headers
+   * @returns {Array<Array<*>>} return.rows - Rows on the requested page
+   * @returns {number} return.totalRecords - Rows available to the user before search and filters
+   * @returns {number} return.matchingRecords - Rows matching the search and filters
+   * @returns {number} return.page - Page returned
+   * @returns {number} return.pageSize - Rows per page used
+   * @returns {number} return.totalPages - Number of pages of matching rows
+   */
+  queryData(data, query = {}) {
+    const matches = this.searchData(data, query);
+    const headers = matches.length > 0 ? matches[0] : [];
+    const rows = matches.slice(1);
+
+    const requestedSize = parseInt(query.pageSize, 10) || CONFIG.PAGINATION.DEFAULT_PAGE_SIZE;
+    const pageSize = Math.min(Math.max(requestedSize, 1), CONFIG.PAGINATION.MAX_PAGE_SIZE);
+    const totalPages = Math.max(1, Math.ceil(rows.length / pageSize));
+    const page = Math.min(Math.max(parseInt(query.page, 10) || 1, 1), totalPages);
+
+    return {
+      headers: headers,
+      rows: rows.slice((page - 1) * pageSize, page * pageSize),
+      totalRecords: data && data.length > 0 ? data.length - 1 : 0,
+      matchingRecords: rows.length,
+      page: page,
+      pageSize: pageSize,
+      totalPages: totalPages
+    };
+  }
+
+  /**
+   * Compare two cell values for sorting.
+   * Blank cells always sort last; dates in CONFIG.SPREADSHEET.DATE_FORMAT (MM/dd/yy)
+   * compare chronologically, numbers (such as negative day counts) compare by value,
+   * and other values compare as text with numeric ordering.
+   *
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @param {number} direction - 1 for ascending, -1 for descending
+   * @returns {number} Negative, zero or positive as for Array.prototype.sort
+   * @private
+   */
+  compareCells(a, b, direction) {
+    const aBlank = a === null || a === undefined || String(a).trim() === '';
+    const bBlank = b === null || b === undefined || String(b).trim() === '';
+    if (aBlank || bBlank) {
+      return aBlank === bBlank ? 0 : (aBlank ? 1 : -1);
+    }
+
+    const toSortableDate = value => {
+      const match = String(value).match(/^(\d{2})\/(\d{2})\/(\d{2})$/);
+      return match ? `${match[3]}${match[1]}${match[2]}` : null;
+    };
+    const aDate = toSortableDate(a);
+    const bDate = toSortableDate(b);
+    if (aDate && bDate) {
+      return aDate.localeCompare(bDate) * direction;
+    }
+
+    if (typeof a === 'number' && typeof b === 'number') {
+      return (a - b) * direction;
+    }
+
+    return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' }) * direction;
+  }
+
+  /**
+   * Count students per campus and per value of each grouping column.
+   * Every campus in `campuses` is reported, with zero when it has no students.
+   *
+   * @param {Array<Array<*>>} data - Campus-filtered data including headers
+   * @param {Array<string>} campuses - Campuses the counts are reported for
+   * @param {Array<string>} groupColumns - Header names to break counts down by
+   * @param {Date} [now=new Date()] - Reference date for new entry counts
+   * @returns {Object} Counts summary
+   * @returns {number} return.totalStudents - Number of data rows
+   * @returns {Object<string, number>} return.byCampus - Student count per campus
+   * @returns {Object<string, Object>} return.groups - Per grouping column: `total` counts per value
+   *   and `byCampus` counts per campus and value
+   * @returns {Object|null} return.newEntries - Students whose entry date falls in the current week
+   *   (from Sunday) or month: `thisWeek`, `thisMonth` and `byCampus`; null when the entry date column is missing
+   * @returns {Array<string>} return.missingColumns - Grouping columns not found in the headers
+   *
+   * @example
+   * const data = [['HOME CAMPUS', 'GRADE'], ['Clark', '9'], ['Clark', '10'], ['Marshall', '9']];
+   * const counts = dataService.aggregateCounts(data, ['Clark', 'Marshall'], ['GRADE']);
+   * // counts.byCampus: { Clark: 2, Marshall: 1 }
+   * // counts.groups.GRADE.total: { '9': 2, '10': 1 }
+   */
+  aggregateCounts(data, campuses, groupColumns, now = new Date()) {
+    const headers = this.getHeaders(data);
+    const campusIndex = this.getColumnIndex(headers, CONFIG.SPREADSHEET.CAMPUS_COLUMN);
+    if (campusIndex === -1) {
+      throw new Error(ERROR_MESSAGES.NO_CAMPUS_COLUMN);
+    }
+
+    const byCampus = {};
+    campuses.forEach(campus => {
+      byCampus[campus] = 0;
+    });
+
+    const groups = {};
+    const groupIndexes = [];
+    const missingColumns = [];
+    (groupColumns || []).forEach(column => {
+      const index = this.getColumnIndex(headers, column);
+      if (index === -1) {
+        missingColumns.push(column);
+        return;
+      }
+      groups[column] = { total: {}, byCampus: {} };
+      groupIndexes.push({ column: column, index: index });
+    });
+
+    const entryDateIndex = this.getColumnIndex(headers, CONFIG.SPREADSHEET.ENTRY_DATE_COLUMN);
+    const weekStart = new Date(now.getFullYear(), now.getMonth(), now.getDate() - now.getDay());
+    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+    const newEntries = entryDateIndex === -1 ? null : { thisWeek: 0, thisMonth: 0, byCampus: {} };
+
+    const rows = data.slice(1);
+    rows.forEach(row => {
+      const campus = this.getCountKey(row[campusIndex]);
+      byCampus[campus] = (byCampus[campus] || 0) + 1;
+
+      if (newEntries && row[entryDateIndex] !== '' && DateUtils.isValidDate(row[entryDateIndex])) {
+        const entryDate = new Date(row[entryDateIndex]);
+        if (entryDate >= monthStart || entryDate >= weekStart) {
+          const campusEntries = newEntries.byCampus[campus] || { thisWeek: 0, thisMonth: 0 };
+          if (entryDate >= weekStart) {
+            newEntries.thisWeek++;
+            campusEntries.thisWeek++;
+          }
+          if (entryDate >= monthStart) {
+            newEntries.thisMonth++;
+            campusEntries.thisMonth++;
+          }
+          newEntries.byCampus[campus] = campusEntries;
+        }
+      }
+
+      groupIndexes.forEach(group => {
+        const value = this.getCountKey(row[group.index]);
+        const counts = groups[group.column];
+        counts.total[value] = (counts.total[value] || 0) + 1;
+        counts.byCampus[campus] = counts.byCampus[campus] || {};
+        counts.byCampus[campus][value] = (counts.byCampus[campus][value] || 0) + 1;
+      });
+    });
+
+    if (missingColumns.length > 0) {
+      logWarn('Count grouping columns not found', { missingColumns }, 'DataService.aggregateCounts');
+    }
+
+    return {
+      totalStudents: rows.length,
+      byCampus: byCampus,
+      groups: groups,
+      newEntries: newEntries,
+      missingColumns: missingColumns
+    };
+  }
+
+  /**
+   * Normalize a cell value for use as a count key.
+   * @param {*} value - Cell value
+   * @returns {string} Trimmed value, or '(blank)' for empty cells
+   * @private
+   */
+  getCountKey(value) {
+    const key = value === null || value === undefined ? '' : String(value).trim();
+    return key || '(blank)';
+  }
+
+  /**
+   * Build caseload counts for the campuses a user can access.
+   * Only columns the user can see (see UserService.getVisibleColumns) are counted, so hidden
+   * columns such as COMPLIANCE for viewers are not revealed through the breakdowns.
+   * @param {string} userEmail - User's email address
+   * @returns {Object} Counts summary (see aggregateCounts) plus campuses and generatedAt
+   */
+  getCaseloadCountsForUser(userEmail) {
     try {
-      const cacheKey = `${CONFIG.CACHE.PREFIX}data_${userEmail}`;
-      this.cache.remove(cacheKey);
-      logInfo('Data cache cleared for user', { userEmail }, 'DataService.clearDataCache');
+      const startTime = new Date();
+      const userCampuses = userService.getUserCampuses(userEmail);
+      const summary = {
+        campuses: userCampuses,
+        generatedAt: new Date().toISOString()
+      };
+
+      if (userCampuses.length === 0) {
+        logInfo('User has no campus access', { userEmail }, 'DataService.getCaseloadCountsForUser');
+        return Object.assign(summary, {
+          totalStudents: 0,
+          byCampus: {},
+          groups: {},
+          newEntries: null,
+          missingColumns: []
+        });
+      }
+
+      const filteredData = this.getCampusData(userCampuses);
+      const visibleColumns = userService.getVisibleColumns(userEmail);
+      const groupColumns = CONFIG.SPREADSHEET.COUNT_GROUP_COLUMNS.filter(column => visibleColumns.includes(column));
+      const counts = this.aggregateCounts(filteredData, userCampuses, groupColumns);
+      if (!visibleColumns.includes(CONFIG.SPREADSHEET.ENTRY_DATE_COLUMN)) {
+        counts.newEntries = null;
+      }
+
+      logInfo('Caseload counts built', {
+        userEmail: userEmail,
+        totalStudents: counts.totalStudents,
+        campusCount: userCampuses.length
+      }, 'DataService.getCaseloadCountsForUser');
+
+      logPerformance('getCaseloadCountsForUser (complete)', startTime);
+      return Object.assign(summary, counts);
     } catch (error) {
-      logWarn('Failed to clear data cache for user', { 
-        error: error.message, 
-        userEmail 
-      }, 'DataService.clearDataCache');
+      logError('Failed to build caseload counts', {
+        error: error.message,
+        userEmail
+      }, 'DataService.getCaseloadCountsForUser');
+      throw createError(ERROR_MESSAGES.DATA_LOAD_ERROR, error, 'DataService.getCaseloadCountsForUser');
     }
   }
 
+  /**
+   * Get caseload counts for user, built from the shared campus cache
+   * @param {string} userEmail - User's email address
+   * @returns {Object} Counts summary (see getCaseloadCountsForUser)
+   */
+  getCachedCountsForUser(userEmail) {
+    return this.getCaseloadCountsForUser(userEmail);
+  }
+
   /**
    * Get data statistics for monitoring and debugging
    * @returns {Object} Data statistics
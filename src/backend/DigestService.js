@@ -0,0 +1,344 @@
+/**
+ * @fileoverview Weekly email digest for NAHS Caseload Counts application.
+ *
+ * Emails each campus coordinator a summary of their campuses: students who
+ * entered in the last week, ARDs coming due, and students whose data or IEP has
+ * not been shared yet. Recipients and campus scope come from the user
+ * permissions sheet, each digest only uses columns the recipient may see, and
+ * every run is recorded in a log sheet. A dry run renders the emails without
+ * sending them.
+ *
+ * @namespace DigestService
+ * @requires CONFIG - Application configuration constants
+ * @requires AppLogger - Application logging service
+ * @requires HtmlService - Google Apps Script templates
+ * @requires MailApp - Google Apps Script mail service
+ *
+ * @author Alvaro Gomez, Academic Technology Coach
+ * @version 1.0.0
+ * @since 08-06-2025
+ */
+
+/**
+ * Digest service class for building, rendering and sending weekly digests.
+ *
+ * @class DigestService
+ * @classdesc Builds per-coordinator caseload summaries and emails them
+ */
+class DigestService {
+  /**
+   * Build and send (or render, in a dry run) the digest for every recipient.
+   * Failures for one recipient do not stop the others.
+   *
+   * @param {Object} [options={}] - Run options
+   * @param {boolean} [options.dryRun=false] - Render emails without sending or logging them
+   * @param {string} [options.email] - Only run for this recipient
+   * @param {Date} [options.now=new Date()] - Reference date for the digest
+   * @returns {Object} Run summary as { dryRun, sent, skipped, failed, results }; in a dry run
+   *   each result includes the rendered subject and html
+   *
+   * @example
+   * const preview = digestService.run({ dryRun: true });
+   * preview.results.forEach(result => console.log(result.email, result.status));
+   */
+  run(options = {}) {
+    const startTime = new Date();
+    const now = options.now || new Date();
+    const dryRun = options.dryRun === true;
+    const optOuts = this.getOptOuts();
+    const only = options.email ? String(options.email).trim().toLowerCase() : null;
+    const recipients = this.getRecipients().filter(recipient => !only || recipient.email === only);
+
+    const results = recipients.map(recipient => {
+      const result = { email: recipient.email, campuses: recipient.campuses, status: '', counts: null, error: null };
+      try {
+        if (optOuts.includes(recipient.email)) {
+          result.status = 'skipped_opt_out';
+          return result;
+        }
+
+        const digest = this.buildDigest(recipient, now);
+        result.counts = digest.counts;
+        if (digest.counts.total === 0 && !CONFIG.DIGEST.SEND_EMPTY) {
+          result.status = 'skipped_empty';
+          return result;
+        }
+
+        const html = this.renderDigest(digest);
+        if (dryRun) {
+          result.status = 'dry_run';
+          result.subject = CONFIG.DIGEST.SUBJECT;
+          result.html = html;
+          return result;
+        }
+
+        if (MailApp.getRemainingDailyQuota() < 1) {
+          throw new Error('Daily email quota exhausted');
+        }
+        MailApp.sendEmail({
+          to: recipient.email,
+          subject: CONFIG.DIGEST.SUBJECT,
+          htmlBody: html,
+          name: CONFIG.APP.TITLE
+        });
+        result.status = 'sent';
+      } catch (error) {
+        result.status = 'failed';
+        result.error = error.message;
+        logError('Failed to send weekly digest', { email: recipient.email, error: error.message }, 'DigestService.run');
+      }
+      return result;
+    });
+
+    if (!dryRun) {
+      this.writeLog(results, now);
+    }
+
+    const summary = {
+      dryRun: dryRun,
+      sent: results.filter(result => result.status === 'sent').length,
+      skipped: results.filter(result => result.status.indexOf('skipped') === 0).length,
+      failed: results.filter(result => result.status === 'failed').length,
+      results: results
+    };
+
+    logInfo('Weekly digest run completed', {
+      dryRun: dryRun,
+      recipients: results.length,
+      sent: summary.sent,
+      skipped: summary.skipped,
+      failed: summary.failed
+    }, 'DigestService.run');
+    logPerformance('DigestService.run', startTime);
+
+    return summary;
+  }
+
+  /**
+   * Get digest recipients from the user permissions sheet.
+   * Active users whose role is in CONFIG.DIGEST.RECIPIENT_ROLES are included, with
+   * the campuses they are allowed to see.
+   *
+   * @returns {Array<Object>} Recipients as { email, role, campuses }
+   */
+  getRecipients() {
+    const table = userService.getPermissionsTable();
+    if (!table) {
+      logWarn('User permissions sheet not found - no digest recipients', null, 'DigestService.getRecipients');
+      return [];
+    }
+
+    return Object.keys(table.users)
+      .map(email => table.users[email])
+      .filter(entry => entry.active && CONFIG.DIGEST.RECIPIENT_ROLES.includes(entry.role))
+      .map(entry => ({ email: entry.email, role: entry.role, campuses: userService.getUserCampuses(entry.email) }))
+      .filter(recipient => recipient.campuses.length > 0);
+  }
+
+  /**
+   * Build the digest content for one recipient from the shared campus cache.
+   *
+   * @param {Object} recipient - Recipient from getRecipients()
+   * @param {Date} now - Reference date
+   * @returns {Object} Digest as { recipient, campuses, generatedAt, sections, counts }
+   */
+  buildDigest(recipient, now) {
+    const data = dataService.getCampusData(recipient.campuses);
+    const visibleColumns = userService.getVisibleColumns(recipient.email);
+    const content = this.buildSections(data, visibleColumns, now);
+
+    return {
+      recipient: recipient.email,
+      campuses: recipient.campuses,
+      generatedAt: DateUtils.formatDate(now, CONFIG.SPREADSHEET.DATE_FORMAT),
+      sections: content.sections,
+      counts: content.counts
+    };
+  }
+
+  /**
+   * Build the digest sections from caseload data that includes the compliance columns.
+   * Sections whose columns are not in visibleColumns are left out.
+   *
+   * @param {Array<Array<*>>} data - Caseload data including headers
+   * @param {Array<string>} visibleColumns - Column names the recipient may see
+   * @param {Date} now - Reference date
+   * @returns {Object} Result as { sections: { newEntries, upcomingArds, missingShared }, counts }
+   *
+   * @example
+   * const content = digestService.buildSections(data, userService.getVisibleColumns(email), new Date());
+   * console.log(content.counts.upcomingArds);
+   */
+  buildSections(data, visibleColumns, now) {
+    const settings = CONFIG.DIGEST;
+    const compliance = CONFIG.COMPLIANCE;
+    const headers = data[0];
+    const column = name => (visibleColumns.includes(name) ? dataService.findHeaderIndex(headers, name) : -1);
+
+    const studentColumns = settings.STUDENT_COLUMNS
+      .map(name => column(name))
+      .filter(index => index !== -1);
+    const describe = row => studentColumns.map(index => row[index]).filter(value => value !== '').join(' - ');
+
+    const today = complianceService.toDayNumber(now);
+    const rows = data.slice(1);
+    const sections = {};
+
+    const entryIndex = column(CONFIG.SPREADSHEET.ENTRY_DATE_COLUMN);
+    if (entryIndex !== -1) {
+      sections.newEntries = rows
+        .filter(row => {
+          const entryDay = complianceService.toDayNumber(row[entryIndex]);
+          return entryDay !== null && entryDay > today - settings.NEW_ENTRY_DAYS && entryDay <= today;
+        })
+        .map(row => ({ student: describe(row), date: dataService.formatDateValue(row[entryIndex]) }));
+    }
+
+    const dueIndex = column(compliance.COLUMNS.NEXT_ARD_DUE);
+    const daysIndex = column(compliance.COLUMNS.DAYS_UNTIL_ARD);
+    if (dueIndex !== -1 && daysIndex !== -1) {
+      sections.upcomingArds = rows
+        .filter(row => row[daysIndex] !== '' && row[daysIndex] >= 0 && row[daysIndex] <= settings.UPCOMING_ARD_DAYS)
+        .sort((a, b) => a[daysIndex] - b[daysIndex])
+        .map(row => ({ student: describe(row), date: row[dueIndex], days: row[daysIndex] }));
+    }
+
+    const sharedColumns = compliance.SHARE_DEADLINES
+      .map(deadline => ({ name: deadline.column, index: column(deadline.column) }))
+      .filter(sharedColumn => sharedColumn.index !== -1);
+    if (sharedColumns.length > 0) {
+      sections.missingShared = rows
+        .map(row => ({
+          student: describe(row),
+          missing: sharedColumns
+            .filter(sharedColumn => String(row[sharedColumn.index]).trim() === '')
+            .map(sharedColumn => sharedColumn.name)
+        }))
+        .filter(item => item.missing.length > 0);
+    }
+
+    const counts = {
+      newEntries: sections.newEntries ? sections.newEntries.length : 0,
+      upcomingArds: sections.upcomingArds ? sections.upcomingArds.length : 0,
+      missingShared: sections.missingShared ? sections.missingShared.length : 0
+    };
+    counts.total = counts.newEntries + counts.upcomingArds + counts.missingShared;
+
+    return { sections: sections, counts: counts };
+  }
+
+  /**
+   * Render a digest with the CONFIG.DIGEST.TEMPLATE HTML template.
+   * The footer links to the web app, where recipients can turn the digest off.
+   *
+   * @param {Object} digest - Digest from buildDigest()
+   * @returns {string} Email HTML
+   */
+  renderDigest(digest) {
+    const template = HtmlService.createTemplateFromFile(CONFIG.DIGEST.TEMPLATE);
+    template.digest = digest;
+    template.settings = CONFIG.DIGEST;
+    template.appTitle = CONFIG.APP.PROJECT_NAME;
+    template.appUrl = this.getAppUrl();
+    return template.evaluate().getContent();
+  }
+
+  /**
+   * URL of the deployed web app.
+   * @returns {string} Web app URL, or an empty string when the script is not deployed
+   * @private
+   */
+  getAppUrl() {
+    try {
+      return ScriptApp.getService().getUrl() || '';
+    } catch (error) {
+      logWarn('Web app URL unavailable', { error: error.message }, 'DigestService.getAppUrl');
+      return '';
+    }
+  }
+
+  /**
+   * Get the list of opted-out emails.
+   * @returns {Array<string>} Lower-case emails
+   */
+  getOptOuts() {
+    try {
+      const raw = PropertiesService.getScriptProperties().getProperty(CONFIG.DIGEST.OPT_OUT_PROPERTY);
+      const list = raw ? JSON.parse(raw) : [];
+      return Array.isArray(list) ? list : [];
+    } catch (error) {
+      logWarn('Digest opt-out list unreadable - treating as empty', { error: error.message }, 'DigestService.getOptOuts');
+      return [];
+    }
+  }
+
+  /**
+   * Add or remove an email from the opt-out list.
+   *
+   * @param {string} email - Email address
+   * @param {boolean} optOut - True to stop sending digests to this email
+   * @returns {Array<string>} Updated opt-out list
+   * @throws {Error} If the script lock cannot be obtained
+   */
+  setOptOut(email, optOut) {
+    const normalized = String(email).trim().toLowerCase();
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(CONFIG.AUDIT.LOCK_TIMEOUT_MS)) {
+      throw new Error('Could not update the digest opt-out list - please try again');
+    }
+
+    try {
+      const list = this.getOptOuts().filter(entry => entry !== normalized);
+      if (optOut) {
+        list.push(normalized);
+      }
+      PropertiesService.getScriptProperties().setProperty(CONFIG.DIGEST.OPT_OUT_PROPERTY, JSON.stringify(list));
+      logInfo('Digest opt-out updated', { email: normalized, optOut: optOut }, 'DigestService.setOptOut');
+      return list;
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  /**
+   * Append run results to the digest log sheet, creating it if needed.
+   *
+   * @param {Array<Object>} results - Results from run()
+   * @param {Date} now - Run time
+   * @private
+   */
+  writeLog(results, now) {
+    if (results.length === 0) {
+      return;
+    }
+
+    try {
+      const spreadsheet = auditService.getAuditSpreadsheet();
+      let sheet = spreadsheet.getSheetByName(CONFIG.DIGEST.LOG_SHEET_NAME);
+      if (!sheet) {
+        sheet = spreadsheet.insertSheet(CONFIG.DIGEST.LOG_SHEET_NAME);
+        sheet.getRange(1, 1, 1, CONFIG.DIGEST.LOG_HEADERS.length)
+          .setValues([CONFIG.DIGEST.LOG_HEADERS])
+          .setFontWeight('bold');
+        sheet.setFrozenRows(1);
+      }
+
+      const rows = results.map(result => [
+        now,
+        result.email,
+        result.campuses.join(', '),
+        result.status,
+        result.counts ? result.counts.newEntries : '',
+        result.counts ? result.counts.upcomingArds : '',
+        result.counts ? result.counts.missingShared : '',
+        result.error || ''
+      ]);
+      sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, CONFIG.DIGEST.LOG_HEADERS.length).setValues(rows);
+    } catch (error) {
+      logError('Failed to write digest log', { error: error.message }, 'DigestService.writeLog');
+    }
+  }
+}
+
+// Global instance
+const digestService = new DigestService();
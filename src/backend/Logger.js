@@ -50,46 +50,56 @@ class ApplicationLogger {
     this.sessionId = Utilities.getUuid();
     /** Session start time */
     this.startTime = new Date();
+    /** True while a critical error is being reported, so reporting cannot recurse */
+    this.handlingCritical = false;
+    /** Logging settings, read on first use (see getSettings) */
+    this.settings = null;
+    /** Secret key for email hashes, read on first use (see getHashKey) */
+    this.hashKey = null;
+    /** Current request context as { id, name, depth } (see beginRequest) */
+    this.request = null;
   }
 
   /**
    * Log a message with specified level.
    * Core logging method that handles formatting, persistence, and critical error handling.
-   * 
+   * Messages below the configured minimum level are dropped (see CONFIG.LOGGING).
+   *
    * @param {number} level - Log level from LogLevel enum
    * @param {string} message - The message to log
    * @param {Object|string|null} [data=null] - Additional data to log
    * @param {string} [context=''] - Context or function name where log originated
    * @returns {void}
-   * 
+   *
    * @example
    * logger.log(LogLevel.INFO, 'User logged in', { userId: 123 }, 'Authentication');
    */
   log(level, message, data = null, context = '') {
     try {
-      const timestamp = new Date().toISOString();
-      const levelName = LogLevelNames[level] || 'UNKNOWN';
-      const contextStr = context ? `[${context}] ` : '';
-      
-      let logEntry = `${timestamp} [${levelName}] ${contextStr}${message}`;
-      
-      if (data) {
-        if (typeof data === 'object') {
-          logEntry += ` | Data: ${JSON.stringify(data)}`;
-        } else {
-          logEntry += ` | Data: ${data}`;
-        }
+      const settings = this.getSettings();
+      if (level < settings.level) {
+        return;
       }
-      
-      // Add session context for debugging
-      logEntry += ` | Session: ${this.sessionId.substring(0, 8)}`;
-      
-      console.log(logEntry);
-      
-      // Also use Google Apps Script Logger for persistence
-      Logger.log(logEntry);
-      
-      // For critical errors, you might want to send notifications
+
+      // Remove student and staff PII before anything is written
+      if (CONFIG.PRIVACY.REDACT_LOGS) {
+        message = this.redactText(message);
+        data = this.redact(data);
+      }
+
+      if (settings.format === 'json') {
+        const payload = this.buildPayload(level, message, data, context);
+        // Objects passed to console are stored as structured payloads in Cloud Logging
+        this.getConsoleMethod(level)(payload);
+        Logger.log(JSON.stringify(payload));
+      } else {
+        const logEntry = this.buildTextEntry(level, message, data, context);
+        console.log(logEntry);
+        // Also use Google Apps Script Logger for persistence
+        Logger.log(logEntry);
+      }
+
+      // Record critical errors in the errors sheet and alert the developer
       if (level >= LogLevel.CRITICAL) {
         this.handleCriticalError(message, data, context);
       }
@@ -101,6 +111,291 @@ class ApplicationLogger {
     }
   }
 
+  /**
+   * Build a plain-text log line.
+   *
+   * @param {number} level - Log level from LogLevel enum
+   * @param {string} message - The message to log
+   * @param {Object|string|null} data - Additional data to log
+   * @param {string} context - Context where the log originated
+   * @returns {string} Log line with timestamp, level, context, data, short session ID and request ID
+   * @private
+   */
+  buildTextEntry(level, message, data, context) {
+    const timestamp = new Date().toISOString();
+    const levelName = LogLevelNames[level] || 'UNKNOWN';
+    const contextStr = context ? `[${context}] ` : '';
+
+    let logEntry = `${timestamp} [${levelName}] ${contextStr}${message}`;
+
+    if (data) {
+      if (typeof data === 'object') {
+        logEntry += ` | Data: ${JSON.stringify(data)}`;
+      } else {
+        logEntry += ` | Data: ${data}`;
+      }
+    }
+
+    // Add session and request context for debugging
+    logEntry += ` | Session: ${this.sessionId.substring(0, 8)} | Request: ${this.getRequestId()}`;
+
+    return logEntry;
+  }
+
+  /**
+   * Build a structured log payload for JSON output.
+   *
+   * @param {number} level - Log level from LogLevel enum
+   * @param {string} message - The message to log
+   * @param {Object|string|null} data - Additional data to log
+   * @param {string} context - Context where the log originated
+   * @returns {Object} Payload as { timestamp, level, message, context, sessionId, requestId, data }
+   *
+   * @example
+   * AppLogger.buildPayload(LogLevel.WARN, 'Cache miss', { key: 'campus' }, 'DataService');
+   * // { timestamp: '...', level: 'WARN', message: 'Cache miss', context: 'DataService', sessionId: '...', requestId: 'REQ_...', data: { key: 'campus' } }
+   */
+  buildPayload(level, message, data, context) {
+    return {
+      timestamp: new Date().toISOString(),
+      level: LogLevelNames[level] || 'UNKNOWN',
+      message: message,
+      context: context || '',
+      sessionId: this.sessionId,
+      requestId: this.getRequestId(),
+      data: data === undefined ? null : data
+    };
+  }
+
+  /**
+   * Console method matching a log level, so Cloud Logging records the right severity.
+   * @param {number} level - Log level from LogLevel enum
+   * @returns {Function} Console method
+   * @private
+   */
+  getConsoleMethod(level) {
+    if (level >= LogLevel.ERROR) {
+      return console.error;
+    }
+    if (level === LogLevel.WARN) {
+      return console.warn;
+    }
+    return level === LogLevel.INFO ? console.info : console.log;
+  }
+
+  /**
+   * Get the logging settings for this execution.
+   * Read from Script Properties on first use (see CONFIG.LOGGING); unset or invalid
+   * values fall back to the defaults.
+   *
+   * @returns {Object} Settings as { level, levelName, format }
+   *
+   * @example
+   * if (AppLogger.getSettings().level <= LogLevel.DEBUG) {
+   *   logDebug('Row details', buildExpensiveSummary(), 'DataService');
+   * }
+   */
+  getSettings() {
+    if (this.settings) {
+      return this.settings;
+    }
+
+    let config;
+    try {
+      config = CONFIG.LOGGING;
+    } catch (error) {
+      // Called while the script files are still loading: log everything as text
+      return { level: LogLevel.DEBUG, levelName: 'DEBUG', format: 'text' };
+    }
+
+    let properties = {};
+    try {
+      properties = PropertiesService.getScriptProperties().getProperties();
+    } catch (error) {
+      console.error('Could not read logging settings:', error.message);
+    }
+
+    const levelName = String(properties[config.LEVEL_PROPERTY] || config.DEFAULT_LEVEL).trim().toUpperCase();
+    const format = String(properties[config.FORMAT_PROPERTY] || config.DEFAULT_FORMAT).trim().toLowerCase();
+    const validLevel = LogLevel.hasOwnProperty(levelName) ? levelName : config.DEFAULT_LEVEL;
+
+    this.settings = {
+      level: LogLevel[validLevel],
+      levelName: validLevel,
+      format: format === 'json' ? 'json' : 'text'
+    };
+    return this.settings;
+  }
+
+  /**
+   * Re-read the logging settings, for example after changing the Script Properties.
+   * @returns {Object} Settings (see getSettings)
+   */
+  refreshSettings() {
+    this.settings = null;
+    return this.getSettings();
+  }
+
+  /**
+   * Redact PII from log data.
+   * Emails in strings are hashed or masked (see CONFIG.PRIVACY.EMAIL_MODE), fields
+   * named in CONFIG.PRIVACY.STUDENT_FIELDS are replaced, and sheet rows (arrays of
+   * arrays) are replaced with a row count.
+   *
+   * @param {*} value - Log data
+   * @param {number} [depth=0] - Current nesting depth
+   * @returns {*} Redacted copy of the data
+   *
+   * @example
+   * AppLogger.redact({ email: 'jane.doe@nisd.net', studentName: 'Ana', campus: 'Clark' });
+   * // { email: 'a1b2c3d4e5@nisd.net', studentName: '[REDACTED]', campus: 'Clark' }
+   */
+  redact(value, depth = 0) {
+    if (typeof value === 'string') {
+      return this.redactText(value);
+    }
+    if (value === null || typeof value !== 'object' || value instanceof Date) {
+      return value;
+    }
+    if (depth >= 5) {
+      return CONFIG.PRIVACY.MASK;
+    }
+
+    if (Array.isArray(value)) {
+      if (value.length > 0 && value.every(item => Array.isArray(item))) {
+        return `[${value.length} rows redacted]`;
+      }
+      return value.map(item => this.redact(item, depth + 1));
+    }
+
+    if (value instanceof Error) {
+      return { name: value.name, message: this.redactText(value.message) };
+    }
+
+    const studentFields = this.getStudentFieldKeys();
+    const result = {};
+    Object.keys(value).forEach(key => {
+      result[key] = studentFields.includes(this.normalizeFieldName(key))
+        ? CONFIG.PRIVACY.MASK
+        : this.redact(value[key], depth + 1);
+    });
+    return result;
+  }
+
+  /**
+   * Redact the emails in a string.
+   * @param {string} text - Text to redact
+   * @returns {string} Text with every email hashed or masked
+   */
+  redactText(text) {
+    if (typeof text !== 'string' || text.indexOf('@') === -1) {
+      return text;
+    }
+    return text.replace(/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, email => this.redactEmail(email));
+  }
+
+  /**
+   * Hash or mask one email, keeping the domain.
+   * Hashes use a secret key, so the same email always gets the same hash but
+   * cannot be looked up from a list of staff emails.
+   *
+   * @param {string} email - Email address
+   * @returns {string} Redacted email, such as 'a1b2c3d4e5@nisd.net' or 'j***@nisd.net'
+   */
+  redactEmail(email) {
+    const normalized = String(email).trim().toLowerCase();
+    const at = normalized.lastIndexOf('@');
+    const local = normalized.slice(0, at);
+    const domain = normalized.slice(at + 1);
+
+    if (CONFIG.PRIVACY.EMAIL_MODE === 'mask') {
+      return `${local.charAt(0)}***@${domain}`;
+    }
+
+    const hash = Utilities.computeHmacSha256Signature(normalized, this.getHashKey())
+      .map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0'))
+      .join('')
+      .slice(0, 10);
+    return `${hash}@${domain}`;
+  }
+
+  /**
+   * Mask sheet rows for diagnostics: columns whose header is a student field are
+   * replaced and emails in every cell are redacted. The header row is kept.
+   *
+   * @param {Array<Array<*>>} rows - Rows including the header row
+   * @returns {Array<Array<*>>} Masked copy of the rows
+   *
+   * @example
+   * AppLogger.maskRows([['STUDENT NAME', 'HOME CAMPUS'], ['Ana Lopez', 'Clark']]);
+   * // [['STUDENT NAME', 'HOME CAMPUS'], ['[REDACTED]', 'Clark']]
+   */
+  maskRows(rows) {
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return [];
+    }
+
+    const studentFields = this.getStudentFieldKeys();
+    const masked = rows[0].map(header => studentFields.includes(this.normalizeFieldName(header)));
+
+    return rows.map((row, rowIndex) => {
+      if (rowIndex === 0) {
+        return row.slice();
+      }
+      return row.map((cell, i) => {
+        if (masked[i] && cell !== '' && cell !== null) {
+          return CONFIG.PRIVACY.MASK;
+        }
+        return typeof cell === 'string' ? this.redactText(cell) : cell;
+      });
+    });
+  }
+
+  /**
+   * Normalized names of the student-identifying fields.
+   * @returns {Array<string>} Field names in normalizeFieldName form
+   * @private
+   */
+  getStudentFieldKeys() {
+    return CONFIG.PRIVACY.STUDENT_FIELDS.map(field => this.normalizeFieldName(field));
+  }
+
+  /**
+   * Normalize a field name or header for matching, so 'STUDENT NAME', 'studentName'
+   * and 'student_name' are the same field.
+   * @param {*} name - Field name or header
+   * @returns {string} Lower-case letters and digits only
+   * @private
+   */
+  normalizeFieldName(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Get the secret key for email hashes, creating it in Script Properties on first use.
+   * @returns {string} Hash key
+   * @private
+   */
+  getHashKey() {
+    if (this.hashKey) {
+      return this.hashKey;
+    }
+
+    const property = CONFIG.PRIVACY.HASH_KEY_PROPERTY;
+    try {
+      const properties = PropertiesService.getScriptProperties();
+      this.hashKey = properties.getProperty(property);
+      if (!this.hashKey) {
+        this.hashKey = Utilities.getUuid();
+        properties.setProperty(property, this.hashKey);
+      }
+    } catch (error) {
+      // Hashes from this execution will not match other executions
+      this.hashKey = this.sessionId;
+    }
+    return this.hashKey;
+  }
+
   /**
    * Log debug information for detailed troubleshooting.
    * 
@@ -161,9 +456,78 @@ class ApplicationLogger {
     this.log(LogLevel.CRITICAL, message, data, context);
   }
 
+  /**
+   * Start a request context so every log line, error and audit entry carries the same ID.
+   * Server entry points call this first and endRequest() in their finally block.
+   * Nested calls (an entry point calling another) join the open request.
+   *
+   * @param {string} name - Entry point name
+   * @returns {string} Request ID in the form REQ_yyyyMMddHHmmss_xxxxxx
+   *
+   * @example
+   * function getUserInfo(email) {
+   *   beginRequest('getUserInfo');
+   *   try {
+   *     // ...
+   *   } finally {
+   *     endRequest();
+   *   }
+   * }
+   */
+  beginRequest(name) {
+    if (this.request) {
+      this.request.depth++;
+      return this.request.id;
+    }
+
+    this.request = { id: this.generateRequestId(), name: name, depth: 1 };
+    this.debug('Request started', { name: name }, 'AppLogger.beginRequest');
+    return this.request.id;
+  }
+
+  /**
+   * Close the request context opened by beginRequest().
+   * The context is cleared once the outermost entry point finishes.
+   * @returns {void}
+   */
+  endRequest() {
+    if (!this.request) {
+      return;
+    }
+    this.request.depth--;
+    if (this.request.depth <= 0) {
+      this.request = null;
+    }
+  }
+
+  /**
+   * Get the current request ID.
+   * Code running outside an entry point (for example a trigger handler) gets an
+   * ID for the rest of the execution, closed by the next endRequest().
+   *
+   * @returns {string} Request ID in the form REQ_yyyyMMddHHmmss_xxxxxx
+   */
+  getRequestId() {
+    if (!this.request) {
+      this.request = { id: this.generateRequestId(), name: 'execution', depth: 0 };
+    }
+    return this.request.id;
+  }
+
+  /**
+   * Create a new request ID from the UTC time and six random characters.
+   * @returns {string} Request ID such as REQ_20250908143000_k3x9qa
+   * @private
+   */
+  generateRequestId() {
+    const timestamp = new Date().toISOString().replace(/[-:T.]/g, '').substring(0, 14);
+    const random = Utilities.getUuid().replace(/-/g, '').substring(0, 6);
+    return `REQ_${timestamp}_${random}`;
+  }
+
   /**
    * Create an error object with tracking ID for better debugging.
-   * Generates a unique error identifier and logs the error details.
+   * The error ID is the current request ID, so it matches the logs and audit entries.
    * 
    * @param {string} message - Error message
    * @param {Error|null} [originalError=null] - Original error object if available
@@ -172,10 +536,10 @@ class ApplicationLogger {
    * 
    * @example
    * const error = logger.createError('Database connection failed', originalErr, 'UserService');
-   * // Returns: { id: 'uuid', message: '...', originalError: '...', context: '...', timestamp: '...', sessionId: '...' }
+   * // Returns: { id: 'REQ_...', message: '...', originalError: '...', context: '...', timestamp: '...', sessionId: '...' }
    */
   createError(message, originalError = null, context = '') {
-    const errorId = Utilities.getUuid();
+    const errorId = this.getRequestId();
     const error = {
       id: errorId,
       message: message,
@@ -194,26 +558,187 @@ class ApplicationLogger {
   }
 
   /**
-   * Handle critical errors that may need immediate attention.
-   * This method can be extended to send notifications or alerts in production.
-   * 
+   * Handle critical errors that need immediate attention.
+   * Writes the error to the errors sheet and emails CONFIG.CONTACTS.DEVELOPER,
+   * unless the alert is throttled (see CONFIG.ALERTS). Failures here are only
+   * logged, so reporting an error never throws.
+   *
    * @param {string} message - Critical error message
    * @param {Object|string|null} data - Error data
    * @param {string} context - Context where critical error occurred
-   * @returns {void}
+   * @returns {Object|null} Alert as { id, alert } where id is the request ID and alert is sent, throttled, disabled or failed;
+   *   null while another critical error is being handled
    * @private
    */
   handleCriticalError(message, data, context) {
-    // This could be extended to send email notifications or alerts
-    // For now, just ensure it's prominently logged
-    const criticalErrorId = Utilities.getUuid();
-    
-    Logger.log(`CRITICAL_ERROR_${criticalErrorId}: ${message}`);
-    
-    // In a production environment, you might want to:
-    // - Send email to administrators
-    // - Write to a special error tracking sheet
-    // - Send to external monitoring service
+    if (this.handlingCritical) {
+      return null;
+    }
+    this.handlingCritical = true;
+
+    try {
+      const criticalErrorId = this.getRequestId();
+      Logger.log(`CRITICAL_ERROR_${criticalErrorId}: ${message}`);
+
+      const details = {
+        id: criticalErrorId,
+        timestamp: new Date(),
+        context: context || '',
+        message: message,
+        data: this.formatAlertData(data),
+        user: this.getAlertUser(),
+        sessionId: this.sessionId
+      };
+
+      details.alert = this.sendCriticalAlert(details);
+      this.writeErrorRow(details);
+
+      return { id: criticalErrorId, alert: details.alert };
+    } finally {
+      this.handlingCritical = false;
+    }
+  }
+
+  /**
+   * Email a critical error to the developer contact, subject to throttling.
+   *
+   * @param {Object} details - Error details from handleCriticalError
+   * @returns {string} sent, throttled, disabled or failed
+   * @private
+   */
+  sendCriticalAlert(details) {
+    const settings = CONFIG.ALERTS;
+    if (!settings.EMAIL_ENABLED) {
+      return 'disabled';
+    }
+
+    try {
+      if (!this.acquireAlertSlot(details.context, details.message)) {
+        return 'throttled';
+      }
+
+      const body = [
+        `Error ID: ${details.id}`,
+        `Time: ${details.timestamp.toISOString()}`,
+        `Context: ${details.context || '(none)'}`,
+        `Message: ${details.message}`,
+        `Session ID: ${details.sessionId}`,
+        `User: ${details.user || '(unknown)'}`,
+        '',
+        'Data:',
+        details.data || '(none)',
+        '',
+        `Every critical error is recorded in the "${settings.SHEET_NAME}" sheet. ` +
+          `Repeats of this error are not emailed again for ${Math.round(settings.THROTTLE_SECONDS / 60)} minutes.`
+      ].join('\n');
+
+      MailApp.sendEmail({
+        to: CONFIG.CONTACTS.DEVELOPER.email,
+        subject: `${settings.SUBJECT_PREFIX}: ${StringUtils.truncate(details.message, 80)}`,
+        body: body
+      });
+      return 'sent';
+    } catch (error) {
+      console.error('Critical error alert failed:', error.message);
+      Logger.log(`CRITICAL_ALERT_FAILED_${details.id}: ${error.message}`);
+      return 'failed';
+    }
+  }
+
+  /**
+   * Reserve an alert email in the throttle.
+   * The same context and message can alert once per CONFIG.ALERTS.THROTTLE_SECONDS,
+   * and at most CONFIG.ALERTS.MAX_EMAILS_PER_HOUR alerts are sent per hour.
+   *
+   * @param {string} context - Error context
+   * @param {string} message - Error message
+   * @param {GoogleAppsScript.Cache.Cache} [cache=CacheService.getScriptCache()] - Cache holding the throttle
+   * @returns {boolean} True if an alert may be sent
+   * @private
+   */
+  acquireAlertSlot(context, message, cache = CacheService.getScriptCache()) {
+    const settings = CONFIG.ALERTS;
+    const signature = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, `${context}|${message}`)
+      .map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0'))
+      .join('');
+    const signatureKey = `${CONFIG.CACHE.PREFIX}alert_${signature}`;
+    const hourKey = `${CONFIG.CACHE.PREFIX}alert_count_${Utilities.formatDate(new Date(), 'UTC', 'yyyyMMddHH')}`;
+
+    if (cache.get(signatureKey)) {
+      return false;
+    }
+    const sentThisHour = Number(cache.get(hourKey) || 0);
+    if (sentThisHour >= settings.MAX_EMAILS_PER_HOUR) {
+      return false;
+    }
+
+    cache.put(signatureKey, '1', settings.THROTTLE_SECONDS);
+    cache.put(hourKey, String(sentThisHour + 1), 60 * 60);
+    return true;
+  }
+
+  /**
+   * Append a critical error to the errors sheet, creating it if needed.
+   *
+   * @param {Object} details - Error details including the alert result
+   * @returns {void}
+   * @private
+   */
+  writeErrorRow(details) {
+    const settings = CONFIG.ALERTS;
+    try {
+      const spreadsheet = auditService.getAuditSpreadsheet();
+      let sheet = spreadsheet.getSheetByName(settings.SHEET_NAME);
+      if (!sheet) {
+        sheet = spreadsheet.insertSheet(settings.SHEET_NAME);
+        sheet.getRange(1, 1, 1, settings.HEADERS.length)
+          .setValues([settings.HEADERS])
+          .setFontWeight('bold');
+        sheet.setFrozenRows(1);
+      }
+
+      sheet.appendRow([
+        details.timestamp,
+        details.id,
+        details.context,
+        details.message,
+        details.data,
+        details.user,
+        details.sessionId,
+        details.alert,
+        settings.NEW_STATUS
+      ]);
+    } catch (error) {
+      console.error('Failed to record critical error:', error.message);
+      Logger.log(`CRITICAL_ERROR_NOT_RECORDED_${details.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert error data to text for the errors sheet and alert email.
+   * @param {Object|string|null} data - Error data
+   * @returns {string} Data as text, truncated to CONFIG.ALERTS.MAX_DATA_LENGTH
+   * @private
+   */
+  formatAlertData(data) {
+    if (data === null || data === undefined) {
+      return '';
+    }
+    const text = typeof data === 'object' ? JSON.stringify(data) : String(data);
+    return StringUtils.truncate(text, CONFIG.ALERTS.MAX_DATA_LENGTH);
+  }
+
+  /**
+   * Email of the user whose request failed, if available.
+   * @returns {string} Email address or an empty string
+   * @private
+   */
+  getAlertUser() {
+    try {
+      return Session.getActiveUser().getEmail() || '';
+    } catch (error) {
+      return '';
+    }
   }
 
   /**
@@ -259,8 +784,11 @@ class ApplicationLogger {
    * 
    * @returns {Object} Session information object
    * @returns {string} return.sessionId - Unique session identifier
+   * @returns {string} return.requestId - Current request correlation ID
    * @returns {string} return.startTime - Session start time in ISO format
    * @returns {number} return.duration - Session duration in milliseconds
+   * @returns {string} return.logLevel - Minimum level being logged
+   * @returns {string} return.logFormat - Log output format (text or json)
    * 
    * @example
    * const sessionInfo = logger.getSessionInfo();
@@ -269,8 +797,11 @@ class ApplicationLogger {
   getSessionInfo() {
     return {
       sessionId: this.sessionId,
+      requestId: this.getRequestId(),
       startTime: this.startTime.toISOString(),
-      duration: new Date().getTime() - this.startTime.getTime()
+      duration: new Date().getTime() - this.startTime.getTime(),
+      logLevel: this.getSettings().levelName,
+      logFormat: this.getSettings().format
     };
   }
 }
@@ -312,3 +843,20 @@ function logUserActivity(userEmail, action, details = null) {
 function logPerformance(functionName, startTime, endTime = null) {
   AppLogger.logPerformance(functionName, startTime, endTime);
 }
+
+// Entry points call this first, so it also applies the stored runtime settings (see ConfigStore.load)
+function beginRequest(name) {
+  const requestId = AppLogger.beginRequest(name);
+  configStore.load();
+  return requestId;
+}
+
+// Entry points call this last, so it also writes the request's cache metrics (see CacheUtils.flushMetrics)
+function endRequest() {
+  CacheUtils.flushMetrics();
+  AppLogger.endRequest();
+}
+
+function getRequestId() {
+  return AppLogger.getRequestId();
+}
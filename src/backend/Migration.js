@@ -1,7 +1,8 @@
 /**
  * @fileoverview Migration utilities for yearly spreadsheet updates
  * This file contains helper functions specifically for managing year-to-year
- * transitions in the NAHS Caseload Counts application.
+ * transitions in the NAHS Caseload Counts application. Cutovers and rollbacks
+ * go through the runtime settings (see ConfigStore), so no redeploy is needed.
  * 
  * @author Alvaro Gomez, Academic Technology Coach
  * @version 1.0.0
@@ -9,41 +10,82 @@
  */
 
 /**
- * Quick migration script for updating to a new school year spreadsheet.
- * This function provides an all-in-one solution for validating and updating
- * the spreadsheet configuration for a new school year.
+ * Switch the application to a new school year spreadsheet.
+ * Every call first runs the checks (connection test, compatibility analysis) as a
+ * dry run. With options.apply the new spreadsheet is then saved to the runtime
+ * settings (see ConfigStore), which applies it immediately for every user and
+ * rebuilds every user's cached data. Dry runs are recorded in the migration
+ * history as validations and applied switches as migrations (see MigrationLedger);
+ * the previous configuration stays in the settings history for emergencyRollback().
  * 
- * IMPORTANT: After running this function successfully, you must manually
- * update the SPREADSHEET_ID in Config.js and redeploy the application.
- * 
- * @param {string} newSpreadsheetId - The Google Sheets ID for the new school year
+ * @param {string} newSpreadsheetId - The Google Sheets ID (or URL) for the new school year
  * @param {string} [newSheetName='CURRENT CASELOAD'] - Sheet name (usually unchanged)
- * @returns {Object} Migration results and instructions
+ * @param {Object} [options={}] - Migration options
+ * @param {boolean} [options.apply=false] - Switch to the new spreadsheet when the checks pass;
+ *   otherwise only report what would change
+ * @param {boolean} [options.force=false] - Apply even when the compatibility score is below
+ *   CONFIG.MIGRATION.MIN_COMPATIBILITY_SCORE
+ * @param {number} [options.expectedVersion] - Settings version from the dry run; the switch
+ *   fails if the settings changed since
+ * @param {string} [options.migrationId] - Migration ID from the dry run, so the validation and
+ *   the switch share one ID in the migration history
+ * @param {Object} [options.settings] - Runtime settings saved with the switch, usually the
+ *   dry run's compatibility.schema.proposedSettings (e.g. a renamed campus column)
+ * @returns {Object} Migration summary with the previous and new configuration
  * 
  * @example
- * // Run this in the Apps Script console for new school year migration:
- * migrateToNewSchoolYear('1NewSpreadsheetIdForNewYear2025')
+ * // Run these in the Apps Script console for new school year migration:
+ * migrateToNewSchoolYear('1NewSpreadsheetIdForNewYear2025');
+ * migrateToNewSchoolYear('1NewSpreadsheetIdForNewYear2025', 'CURRENT CASELOAD', { apply: true });
  */
-function migrateToNewSchoolYear(newSpreadsheetId, newSheetName = 'CURRENT CASELOAD') {
+function migrateToNewSchoolYear(newSpreadsheetId, newSheetName = 'CURRENT CASELOAD', options = {}) {
+  beginRequest('migrateToNewSchoolYear');
   const migrationStart = new Date();
   const currentUserEmail = userService.getCurrentUserEmail();
+  const apply = options.apply === true;
+  const migrationId = options.migrationId ? String(options.migrationId) : migrationLedger.generateId();
+  let authorized = false;
+  let previous = null;
+  let next = { spreadsheetId: newSpreadsheetId, sheetName: newSheetName };
+  let compatibility = null;
   
   try {
     logInfo('Starting school year migration process', {
       newSpreadsheetId: newSpreadsheetId,
+      apply: apply,
       requestedBy: currentUserEmail,
       migrationStart: migrationStart.toISOString()
     }, 'migrateToNewSchoolYear');
     
     // Step 1: Verify administrator access
-    if (!currentUserEmail.includes('alvaro.gomez@nisd.net') && 
-        !currentUserEmail.includes('linda.rodriguez@nisd.net')) {
+    if (!userService.authorize(currentUserEmail, CAPABILITIES.RUN_MIGRATION)) {
       throw new Error('Unauthorized: Only administrators can perform school year migration');
     }
+    authorized = true;
+    previous = {
+      spreadsheetId: CONFIG.SPREADSHEET.SPREADSHEET_ID,
+      sheetName: CONFIG.SPREADSHEET.SHEET_NAME,
+      settingsVersion: configStore.load().version
+    };
+    
+    const target = configStore.validate({
+      'SPREADSHEET.SPREADSHEET_ID': newSpreadsheetId,
+      'SPREADSHEET.SHEET_NAME': newSheetName
+    });
+    if (target.errors.length > 0) {
+      throw new Error(`Invalid migration target: ${target.errors.join('; ')}`);
+    }
+    const spreadsheetId = target.values['SPREADSHEET.SPREADSHEET_ID'];
+    const sheetName = target.values['SPREADSHEET.SHEET_NAME'];
+    next = { spreadsheetId: spreadsheetId, sheetName: sheetName };
+    
+    if (spreadsheetId === CONFIG.SPREADSHEET.SPREADSHEET_ID && sheetName === CONFIG.SPREADSHEET.SHEET_NAME) {
+      throw new Error('The application already uses this spreadsheet and sheet');
+    }
     
     // Step 2: Test connection to new spreadsheet
     console.log('Step 1: Testing connection to new spreadsheet...');
-    const connectionTest = testSpreadsheetConnection(newSpreadsheetId, newSheetName);
+    const connectionTest = testSpreadsheetConnection(spreadsheetId, sheetName);
     
     if (!connectionTest.success) {
       throw new Error(`New spreadsheet validation failed: ${connectionTest.message}`);
@@ -57,27 +99,34 @@ function migrateToNewSchoolYear(newSpreadsheetId, newSheetName = 'CURRENT CASELO
     
     // Step 4: Analyze data structure compatibility
     console.log('Step 3: Analyzing data structure compatibility...');
-    const compatibility = analyzeDataCompatibility(currentConfig, connectionTest);
+    compatibility = analyzeDataCompatibility(currentConfig, connectionTest);
     
-    // Step 5: Create backup recommendation
+    // Step 5: Prepare the dry run summary
     console.log('Step 4: Preparing migration summary...');
+    const applyOptions = { apply: true, expectedVersion: currentConfig.settingsVersion, migrationId: migrationId };
+    if (compatibility.schema && compatibility.schema.proposedSettings) {
+      applyOptions.settings = compatibility.schema.proposedSettings;
+    }
     
     const migrationSummary = {
       success: true,
-      migrationId: generateErrorId(), // Using error ID generator for unique ID
+      migrationId: migrationId,
+      dryRun: true,
+      applied: false,
       timestamp: new Date().toISOString(),
       performedBy: currentUserEmail,
       
-      // Current state
+      // Current state (kept in the settings history for rollback)
       currentConfiguration: {
         spreadsheetId: currentConfig.spreadsheetId,
-        sheetName: currentConfig.sheetName
+        sheetName: currentConfig.sheetName,
+        settingsVersion: currentConfig.settingsVersion
       },
       
       // New state
       newConfiguration: {
-        spreadsheetId: newSpreadsheetId,
-        sheetName: newSheetName,
+        spreadsheetId: spreadsheetId,
+        sheetName: sheetName,
         spreadsheetName: connectionTest.spreadsheetName,
         dataRows: connectionTest.dataRows,
         dataColumns: connectionTest.dataColumns
@@ -88,63 +137,123 @@ function migrateToNewSchoolYear(newSpreadsheetId, newSheetName = 'CURRENT CASELO
       
       // Next steps
       instructions: {
-        step1: 'Update CONFIG.SPREADSHEET.SPREADSHEET_ID in Config.js',
-        step2: 'Save the configuration changes',
-        step3: 'Deploy a new version of the web app',
-        step4: 'Test with sample users from different campuses',
-        step5: 'Notify users of any changes or downtime',
-        
-        configUpdate: `Change line in Config.js from:\nSPREADSHEET_ID: '${currentConfig.spreadsheetId}',\nTo:\nSPREADSHEET_ID: '${newSpreadsheetId}',`
+        step1: 'Review the compatibility analysis and warnings',
+        step2: `Apply the switch: migrateToNewSchoolYear('${spreadsheetId}', '${sheetName}', ${JSON.stringify(applyOptions)})`,
+        step3: 'Test with sample users from different campuses',
+        step4: 'Notify users of any changes',
+        rollback: 'If problems appear, run emergencyRollback() to restore the previous configuration'
       },
       
       // Warnings and recommendations
       warnings: compatibility.warnings || [],
       recommendations: [
         'Test the application thoroughly before announcing to users',
-        'Keep the old spreadsheet ID documented for emergency rollback',
         'Monitor application logs for the first few days after migration',
         'Verify that all expected campuses appear in the new data'
       ]
     };
     
-    // Step 6: Clear caches to ensure fresh data on next load
-    console.log('Step 5: Clearing application caches...');
-    clearUserCache();
+    if (apply) {
+      // Step 6: Switch the spreadsheet; saving the settings rebuilds every user's cache
+      console.log('Step 5: Switching to the new spreadsheet...');
+      if (compatibility.score < CONFIG.MIGRATION.MIN_COMPATIBILITY_SCORE && options.force !== true) {
+        throw new Error(`${compatibility.summary} is below the minimum of ${CONFIG.MIGRATION.MIN_COMPATIBILITY_SCORE} - ` +
+          'fix the new spreadsheet or apply with { force: true }');
+      }
+      
+      const result = configStore.save(Object.assign({}, options.settings, {
+        'SPREADSHEET.SPREADSHEET_ID': spreadsheetId,
+        'SPREADSHEET.SHEET_NAME': sheetName
+      }), { email: currentUserEmail, expectedVersion: options.expectedVersion, ledger: false });
+      
+      migrationSummary.dryRun = false;
+      migrationSummary.applied = true;
+      migrationSummary.settingsVersion = result.version;
+      migrationSummary.warnings = migrationSummary.warnings.concat(result.warnings);
+      migrationSummary.instructions = {
+        step1: 'Test with sample users from different campuses',
+        step2: 'Notify users of any changes',
+        rollback: `If problems appear, run emergencyRollback(${currentConfig.settingsVersion}) to restore the previous configuration`
+      };
+    }
+    
+    migrationLedger.record({
+      id: migrationId,
+      type: apply ? 'migration' : 'validation',
+      user: currentUserEmail,
+      previous: previous,
+      next: next,
+      settingsVersion: migrationSummary.settingsVersion,
+      compatibility: compatibility,
+      outcome: apply ? 'applied' : 'passed',
+      details: { warnings: migrationSummary.warnings }
+    });
     
-    logInfo('School year migration analysis completed successfully', {
+    logInfo(apply ? 'School year migration applied' : 'School year migration dry run completed', {
       migrationId: migrationSummary.migrationId,
-      newSpreadsheetId: newSpreadsheetId,
+      newSpreadsheetId: spreadsheetId,
       dataRows: connectionTest.dataRows,
-      compatibilityScore: compatibility.score
+      compatibilityScore: compatibility.score,
+      settingsVersion: migrationSummary.settingsVersion
     }, 'migrateToNewSchoolYear');
     
+    userService.logUserActivity(currentUserEmail, 'admin_school_year_migration', {
+      migrationId: migrationSummary.migrationId,
+      previousSpreadsheetId: currentConfig.spreadsheetId,
+      newSpreadsheetId: spreadsheetId,
+      compatibilityScore: compatibility.score,
+      result: apply ? 'applied' : 'dry_run'
+    });
+    
     return migrationSummary;
     
   } catch (error) {
     logError('School year migration failed', {
       error: error.message,
       newSpreadsheetId: newSpreadsheetId,
+      apply: apply,
       requestedBy: currentUserEmail
     }, 'migrateToNewSchoolYear');
     
+    if (authorized) {
+      migrationLedger.record({
+        id: migrationId,
+        type: apply ? 'migration' : 'validation',
+        user: currentUserEmail,
+        previous: previous,
+        next: next,
+        compatibility: compatibility,
+        outcome: 'failed',
+        error: error.message
+      });
+    }
+    
     return {
       success: false,
+      migrationId: authorized ? migrationId : null,
       error: error.message,
+      dryRun: !apply,
+      applied: false,
       timestamp: new Date().toISOString(),
       instructions: {
         troubleshooting: 'Check the error message above and verify spreadsheet access permissions'
       }
     };
+  } finally {
+    auditService.flush();
+    endRequest();
   }
 }
 
 /**
  * Analyze compatibility between current and new spreadsheet data structures.
- * Helps identify potential issues before migration.
+ * Helps identify potential issues before migration. The new header row is compared
+ * with the current sheet and the configured columns (see compareSheetSchemas), and
+ * the result includes corrected settings to apply with the switch.
  * 
  * @param {Object} currentConfig - Current spreadsheet configuration
  * @param {Object} newSpreadsheetTest - Test results from new spreadsheet
- * @returns {Object} Compatibility analysis results
+ * @returns {Object} Compatibility analysis results, with the header diff in schema
  */
 function analyzeDataCompatibility(currentConfig, newSpreadsheetTest) {
   const compatibility = {
@@ -155,6 +264,18 @@ function analyzeDataCompatibility(currentConfig, newSpreadsheetTest) {
   };
   
   try {
+    let currentHeaders = [];
+    try {
+      currentHeaders = readSheetHeaders(currentConfig.spreadsheetId, currentConfig.sheetName);
+    } catch (error) {
+      logWarn('Could not read current sheet headers', { error: error.message }, 'analyzeDataCompatibility');
+      compatibility.warnings.push('Could not read the current sheet headers - compared with the configured columns only');
+    }
+    
+    const schema = compareSheetSchemas(currentHeaders, newSpreadsheetTest.headers || [], newSpreadsheetTest.campusValues);
+    schema.currentSheetCompared = currentHeaders.length > 0;
+    compatibility.schema = schema;
+    
     // Check if new spreadsheet has data
     if (newSpreadsheetTest.dataRows > 0) {
       compatibility.score += 30;
@@ -162,19 +283,23 @@ function analyzeDataCompatibility(currentConfig, newSpreadsheetTest) {
       compatibility.warnings.push('New spreadsheet appears to have no data rows');
     }
     
-    // Check for campus column
-    if (newSpreadsheetTest.campusColumnFound) {
+    // Check the configured campus column (matched exactly, like DataService)
+    if (schema.campusColumn.found) {
       compatibility.score += 25;
+    } else if (schema.campusColumn.newHeader) {
+      compatibility.score += 15;
     } else {
-      compatibility.warnings.push('Campus column not clearly identified in new spreadsheet');
       compatibility.recommendations.push('Verify that a column containing campus information exists');
     }
     
-    // Check headers exist
-    if (newSpreadsheetTest.headers && newSpreadsheetTest.headers.length > 0) {
-      compatibility.score += 20;
-    } else {
+    // Check the configured columns exist (renamed columns count half)
+    const readColumns = schema.columns.length;
+    if (!newSpreadsheetTest.headers || newSpreadsheetTest.headers.length === 0) {
       compatibility.warnings.push('No headers found in new spreadsheet');
+    } else if (readColumns > 0) {
+      const found = schema.columns.filter(column => column.status === 'found').length;
+      const renamed = schema.columns.filter(column => column.status === 'renamed').length;
+      compatibility.score += Math.round(20 * (found + renamed / 2) / readColumns);
     }
     
     // Check reasonable number of columns
@@ -195,6 +320,23 @@ function analyzeDataCompatibility(currentConfig, newSpreadsheetTest) {
       compatibility.warnings.push('New spreadsheet has a large amount of data - performance may be affected');
     }
     
+    compatibility.warnings = compatibility.warnings.concat(schema.warnings);
+    if (newSpreadsheetTest.permissionsSheetFound === false) {
+      compatibility.warnings.push(`New spreadsheet has no "${CONFIG.SPREADSHEET.USER_PERMISSIONS_SHEET}" sheet - ` +
+        'the switch is refused while the current spreadsheet has one');
+      compatibility.recommendations.push(`Copy the "${CONFIG.SPREADSHEET.USER_PERMISSIONS_SHEET}" sheet to the new spreadsheet`);
+    }
+    if (schema.proposedSettings) {
+      compatibility.recommendations.push('Apply the proposed settings with the switch (options.settings)');
+    }
+    if (schema.proposedColumnSchema) {
+      compatibility.recommendations.push('Update CONFIG.SPREADSHEET.COLUMN_SCHEMA in Config.js to the proposed column schema');
+    }
+    if (schema.unknownCampuses.length > 0) {
+      compatibility.recommendations.push('Correct the unknown campus values or add them to CONFIG.CAMPUS_ALIASES, ' +
+        'or those students are only shown to administrators');
+    }
+    
     // Determine overall compatibility level
     let compatibilityLevel;
     if (compatibility.score >= 90) {
@@ -224,60 +366,457 @@ function analyzeDataCompatibility(currentConfig, newSpreadsheetTest) {
 }
 
 /**
- * Emergency rollback function to quickly revert to previous spreadsheet.
- * Use this if issues are discovered after migration.
+ * Compare the header row of a new school year sheet with the current sheet and
+ * the configured columns. Headers are matched trimmed and case-insensitively, as
+ * DataService does; the campus column must match exactly.
+ * 
+ * CONFIG.SPREADSHEET.COLUMNS_TO_REMOVE no longer exists: only COLUMN_SCHEMA columns
+ * are shown, so hiddenColumns lists the new headers that will not be shown instead.
+ * 
+ * @param {Array<string>} currentHeaders - Header row of the current sheet (empty when unavailable)
+ * @param {Array<string>} newHeaders - Header row of the new sheet
+ * @param {Object<string, number>} [campusValues={}] - Rows per campus column value in the new sheet
+ * @returns {Object} Diff as { added, removed, renamed, reordered, columns, dateColumns, campusColumn,
+ *   hiddenColumns, unknownCampuses, proposedSettings, proposedColumnSchema, warnings }. Reordered
+ *   columns use 1-based column numbers; proposedSettings is keyed like saveRuntimeSettings()
+ *   and is null when nothing needs to change, as is proposedColumnSchema
+ * 
+ * @example
+ * compareSheetSchemas(['HOME CAMPUS', 'LAST ARD'], ['HOME CAMPUS', 'LAST ARD DATE'], { Clark: 40 })
+ * // renamed: [{ from: 'LAST ARD', to: 'LAST ARD DATE', similarity: 0.8 }], ...
+ */
+function compareSheetSchemas(currentHeaders, newHeaders, campusValues = {}) {
+  const key = header => String(header).trim().toUpperCase();
+  const toColumns = headers => headers
+    .map((header, index) => ({ header: String(header), key: key(header), index: index }))
+    .filter(column => column.key !== '');
+  const current = toColumns(currentHeaders);
+  const next = toColumns(newHeaders);
+  const currentKeys = current.map(column => column.key);
+  const nextKeys = next.map(column => column.key);
+  const threshold = CONFIG.MIGRATION.RENAME_SIMILARITY;
+  const configuredKeys = CONFIG.SPREADSHEET.COLUMN_SCHEMA.map(column => key(column.header))
+    .concat(CONFIG.SPREADSHEET.DATE_COLUMNS.map(key), key(CONFIG.SPREADSHEET.CAMPUS_COLUMN));
+  
+  // Pair headers that disappeared with similar new ones, best matches first
+  const removedColumns = current.filter(column => !nextKeys.includes(column.key));
+  const addedColumns = next.filter(column => !currentKeys.includes(column.key));
+  const candidates = [];
+  removedColumns.forEach(from => addedColumns.forEach(to => {
+    const similarity = headerSimilarity(from.header, to.header);
+    if (similarity >= threshold) {
+      candidates.push({ from: from, to: to, similarity: similarity });
+    }
+  }));
+  candidates.sort((a, b) => b.similarity - a.similarity ||
+    Math.abs(a.from.index - a.to.index) - Math.abs(b.from.index - b.to.index));
+  
+  const renamed = [];
+  candidates.forEach(candidate => {
+    if (!renamed.some(pair => pair.from === candidate.from || pair.to === candidate.to)) {
+      renamed.push(candidate);
+    }
+  });
+  renamed.sort((a, b) => a.from.index - b.from.index);
+  
+  // Columns kept in the new sheet: moved columns are those outside the longest run in the same order
+  const kept = current
+    .map(column => {
+      const pair = renamed.find(item => item.from === column);
+      const target = pair ? pair.to : next.find(item => item.key === column.key);
+      return target ? { from: column, to: target } : null;
+    })
+    .filter(Boolean);
+  const inOrder = longestIncreasingRun(kept.map(pair => pair.to.index));
+  const reordered = kept
+    .filter((pair, index) => !inOrder.includes(index))
+    .map(pair => ({ header: pair.to.header, from: pair.from.index + 1, to: pair.to.index + 1 }));
+  
+  const warnings = [];
+  
+  // Where a configured header is in the new sheet: as is, renamed, or missing
+  const locate = name => {
+    const found = next.find(column => column.key === key(name));
+    if (found) {
+      return { status: 'found', newHeader: found.header };
+    }
+    const pair = renamed.find(item => item.from.key === key(name));
+    if (pair) {
+      return { status: 'renamed', newHeader: pair.to.header };
+    }
+    const similar = next
+      .filter(column => !currentKeys.includes(column.key) && !configuredKeys.includes(column.key))
+      .map(column => ({ column: column, similarity: headerSimilarity(name, column.header) }))
+      .filter(item => item.similarity >= threshold)
+      .sort((a, b) => b.similarity - a.similarity)[0];
+    return similar
+      ? { status: 'renamed', newHeader: similar.column.header }
+      : { status: 'missing', newHeader: null };
+  };
+  
+  const columns = CONFIG.SPREADSHEET.COLUMN_SCHEMA
+    .filter(column => !column.computed)
+    .map(column => Object.assign({ header: column.header, required: column.required === true }, locate(column.header)));
+  columns.forEach(column => {
+    if (column.status === 'renamed') {
+      warnings.push(column.required
+        ? `Required column "${column.header}" appears to be renamed to "${column.newHeader}" - no data is served until COLUMN_SCHEMA is updated`
+        : `Column "${column.header}" appears to be renamed to "${column.newHeader}"`);
+    } else if (column.status === 'missing') {
+      warnings.push(`${column.required ? 'Required column' : 'Column'} "${column.header}" is missing from the new sheet`);
+    }
+  });
+  
+  const dateColumns = CONFIG.SPREADSHEET.DATE_COLUMNS
+    .map(header => Object.assign({ header: header }, locate(header)));
+  dateColumns.filter(column => column.status === 'missing').forEach(column => {
+    warnings.push(`Date column "${column.header}" is missing from the new sheet`);
+  });
+  
+  // DataService looks up the campus column by its exact header
+  const campusHeader = CONFIG.SPREADSHEET.CAMPUS_COLUMN;
+  const campusColumn = { header: campusHeader, found: next.some(column => column.header === campusHeader), newHeader: null };
+  if (!campusColumn.found) {
+    const located = locate(campusHeader);
+    const fallback = next.find(column => column.key.includes('CAMPUS'));
+    campusColumn.newHeader = located.newHeader || (fallback ? fallback.header : null);
+    warnings.push(campusColumn.newHeader
+      ? `Campus column "${campusHeader}" not found - the new sheet appears to use "${campusColumn.newHeader}"`
+      : `Campus column "${campusHeader}" not found in the new sheet`);
+  }
+  
+  const schemaKeys = columns.map(column => key(column.newHeader || column.header));
+  const hiddenColumns = next.filter(column => !schemaKeys.includes(column.key)).map(column => column.header);
+  
+  // Values are matched as DataService matches them, so spacing, case and aliases are not flagged
+  const unknownCampuses = Object.keys(campusValues || {})
+    .filter(value => !CampusUtils.normalizeCampus(value))
+    .map(value => ({ value: value, rows: campusValues[value], suggestion: CampusUtils.suggestCampus(value) }))
+    .sort((a, b) => b.rows - a.rows);
+  if (unknownCampuses.length > 0) {
+    const rows = unknownCampuses.reduce((total, item) => total + item.rows, 0);
+    warnings.push(`${rows} row(s) have campus values matching no campus in CONFIG.CAMPUSES or CONFIG.CAMPUS_ALIASES: ` +
+      unknownCampuses.map(item => `"${item.value}"`).join(', '));
+  }
+  
+  // Corrected values: runtime settings that can be applied with the switch, and Config.js changes
+  const proposedSettings = {};
+  if (!campusColumn.found && campusColumn.newHeader) {
+    proposedSettings['SPREADSHEET.CAMPUS_COLUMN'] = campusColumn.newHeader;
+  }
+  if (dateColumns.some(column => column.status !== 'found')) {
+    const proposedDateColumns = dateColumns
+      .filter(column => column.status !== 'missing')
+      .map(column => (column.status === 'found' ? column.header : column.newHeader));
+    // The setting needs at least one column, so an empty list would make the proposal unsaveable
+    if (proposedDateColumns.length > 0) {
+      proposedSettings['SPREADSHEET.DATE_COLUMNS'] = proposedDateColumns;
+    } else {
+      warnings.push('None of the date columns were found in the new sheet - ' +
+        'set SPREADSHEET.DATE_COLUMNS after the switch; dates will not be formatted until then');
+    }
+  }
+  const schemaRenames = columns.filter(column => column.status === 'renamed');
+  const proposedColumnSchema = schemaRenames.length === 0 ? null : CONFIG.SPREADSHEET.COLUMN_SCHEMA.map(column => {
+    const rename = schemaRenames.find(item => item.header === column.header);
+    return rename ? Object.assign({}, column, { header: rename.newHeader }) : column;
+  });
+  
+  return {
+    added: addedColumns.filter(column => !renamed.some(pair => pair.to === column)).map(column => column.header),
+    removed: removedColumns.filter(column => !renamed.some(pair => pair.from === column)).map(column => column.header),
+    renamed: renamed.map(pair => ({
+      from: pair.from.header,
+      to: pair.to.header,
+      similarity: Math.round(pair.similarity * 100) / 100
+    })),
+    reordered: reordered,
+    columns: columns,
+    dateColumns: dateColumns,
+    dateColumnsValid: dateColumns.every(column => column.status === 'found'),
+    campusColumn: campusColumn,
+    hiddenColumns: hiddenColumns,
+    unknownCampuses: unknownCampuses,
+    proposedSettings: Object.keys(proposedSettings).length > 0 ? proposedSettings : null,
+    proposedColumnSchema: proposedColumnSchema,
+    warnings: warnings
+  };
+}
+
+/**
+ * Score how alike two headers are, ignoring case, spaces and punctuation.
+ * @param {string} a - First header
+ * @param {string} b - Second header
+ * @returns {number} Similarity from 0 to 1; at least 0.8 when one contains the other
+ * @private
+ */
+function headerSimilarity(a, b) {
+  const left = String(a).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  const right = String(b).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  if (!left || !right) {
+    return 0;
+  }
+  
+  // Levenshtein distance, one row at a time
+  let previous = Array.from({ length: right.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= left.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= right.length; j++) {
+      row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + (left[i - 1] === right[j - 1] ? 0 : 1));
+    }
+    previous = row;
+  }
+  
+  const similarity = 1 - previous[right.length] / Math.max(left.length, right.length);
+  const contained = Math.min(left.length, right.length) >= 3 && (left.includes(right) || right.includes(left));
+  return contained ? Math.max(similarity, 0.8) : similarity;
+}
+
+/**
+ * Find the positions of the longest increasing run (not necessarily contiguous) in a list.
+ * @param {Array<number>} values - Values in order
+ * @returns {Array<number>} Indexes into values of one longest increasing subsequence
+ * @private
+ */
+function longestIncreasingRun(values) {
+  const lengths = values.map(() => 1);
+  const previous = values.map(() => -1);
+  values.forEach((value, i) => {
+    for (let j = 0; j < i; j++) {
+      if (values[j] < value && lengths[j] + 1 > lengths[i]) {
+        lengths[i] = lengths[j] + 1;
+        previous[i] = j;
+      }
+    }
+  });
+  
+  let index = lengths.indexOf(Math.max.apply(null, lengths.concat(0)));
+  const run = [];
+  while (index !== -1) {
+    run.unshift(index);
+    index = previous[index];
+  }
+  return run;
+}
+
+/**
+ * Read the header row of a sheet.
+ * @param {string} spreadsheetId - Spreadsheet ID
+ * @param {string} sheetName - Sheet name
+ * @returns {Array<string>} Header row (empty for an empty sheet)
+ * @throws {Error} If the spreadsheet or sheet cannot be opened
+ * @private
+ */
+function readSheetHeaders(spreadsheetId, sheetName) {
+  const sheet = SpreadsheetApp.openById(spreadsheetId).getSheetByName(sheetName);
+  if (!sheet) {
+    throw new Error(`Sheet "${sheetName}" not found in spreadsheet`);
+  }
+  const lastColumn = sheet.getLastColumn();
+  return lastColumn > 0 ? sheet.getRange(1, 1, 1, lastColumn).getValues()[0] : [];
+}
+
+/**
+ * Emergency rollback to an earlier recorded configuration in one step.
+ * Restores a version from the runtime settings history (see ConfigStore), which
+ * applies immediately for every user and rebuilds every user's cached data.
+ * The rollback is recorded in the migration history (see MigrationLedger).
+ * It still works when the current spreadsheet cannot be opened: admins are then
+ * authorized from CONFIG.SECURITY.LEGACY_ROLE_ASSIGNMENTS.
  * 
- * @param {string} previousSpreadsheetId - The previous spreadsheet ID to roll back to
- * @returns {Object} Rollback results
+ * @param {number|string} [target] - Settings version to restore, or a spreadsheet ID used
+ *   by an earlier version (the newest such version is restored); defaults to the version
+ *   before the current one
+ * @returns {Object} Rollback results with the configuration before and after
  * 
  * @example
- * // Emergency rollback to previous year:
+ * // Undo the last migration or settings change:
+ * emergencyRollback()
+ * // Go back to the configuration that used last year's spreadsheet:
  * emergencyRollback('1PreviousSpreadsheetId')
  */
-function emergencyRollback(previousSpreadsheetId) {
+function emergencyRollback(target) {
+  beginRequest('emergencyRollback');
+  let currentUserEmail = null;
+  let before = null;
+  let version = null;
+  
   try {
-    const currentUserEmail = userService.getCurrentUserEmail();
+    currentUserEmail = userService.getCurrentUserEmail();
+    
+    // The current spreadsheet may be the reason for the rollback, so authorization
+    // must not depend on reading its permissions sheet
+    if (!userService.authorizeRecovery(currentUserEmail, CAPABILITIES.RUN_MIGRATION)) {
+      throw new Error('Unauthorized: Only administrators can perform an emergency rollback');
+    }
+    
+    before = {
+      spreadsheetId: CONFIG.SPREADSHEET.SPREADSHEET_ID,
+      sheetName: CONFIG.SPREADSHEET.SHEET_NAME,
+      settingsVersion: configStore.load().version
+    };
+    version = resolveRollbackVersion(target);
     
     logWarn('Emergency rollback initiated', {
       requestedBy: currentUserEmail,
-      rollbackToSpreadsheetId: previousSpreadsheetId,
-      currentSpreadsheetId: CONFIG.SPREADSHEET.SPREADSHEET_ID
+      rollbackTarget: target === undefined ? null : target,
+      rollbackToVersion: version,
+      currentSpreadsheetId: before.spreadsheetId,
+      currentSettingsVersion: before.settingsVersion
     }, 'emergencyRollback');
     
-    // Test the rollback target
-    const rollbackTest = testSpreadsheetConnection(previousSpreadsheetId);
+    // Restoring checks the target sheet before anything changes
+    const result = configStore.restore(version, { email: currentUserEmail, ledger: false });
+    const after = {
+      spreadsheetId: CONFIG.SPREADSHEET.SPREADSHEET_ID,
+      sheetName: CONFIG.SPREADSHEET.SHEET_NAME,
+      settingsVersion: result.version,
+      restoredVersion: version
+    };
     
-    if (!rollbackTest.success) {
-      throw new Error(`Rollback target validation failed: ${rollbackTest.message}`);
-    }
+    const migrationId = migrationLedger.record({
+      type: 'rollback',
+      user: currentUserEmail,
+      previous: before,
+      next: after,
+      settingsVersion: result.version,
+      outcome: result.changed.length > 0 ? 'applied' : 'unchanged',
+      details: { restoredVersion: version, changed: result.changed }
+    });
     
-    // Clear all caches
-    clearUserCache();
+    userService.logUserActivity(currentUserEmail, 'admin_emergency_rollback', {
+      migrationId: migrationId,
+      rollbackToVersion: version,
+      previousSpreadsheetId: before.spreadsheetId,
+      rollbackToSpreadsheetId: after.spreadsheetId,
+      settingsVersion: result.version,
+      result: result.changed.length > 0 ? 'applied' : 'unchanged'
+    });
     
     return {
       success: true,
-      message: 'Rollback target validated successfully',
+      migrationId: migrationId,
+      message: result.changed.length > 0
+        ? `Rolled back to settings version ${version} (now version ${result.version})`
+        : `The settings already match version ${version}`,
+      rolledBackFrom: before,
+      rolledBackTo: after,
+      changed: result.changed,
+      warnings: result.warnings,
       instructions: {
-        step1: `Update CONFIG.SPREADSHEET.SPREADSHEET_ID in Config.js to: '${previousSpreadsheetId}'`,
-        step2: 'Deploy the rollback version immediately',
-        step3: 'Test the application functionality',
-        step4: 'Notify users of the temporary rollback'
+        step1: 'Test the application functionality',
+        step2: 'Notify users of the temporary rollback'
       },
-      rollbackTarget: rollbackTest,
       timestamp: new Date().toISOString()
     };
     
   } catch (error) {
     logCritical('Emergency rollback failed', {
       error: error.message,
-      rollbackToSpreadsheetId: previousSpreadsheetId
+      rollbackTarget: target === undefined ? null : target,
+      rollbackToVersion: version
     }, 'emergencyRollback');
     
+    if (before) {
+      migrationLedger.record({
+        type: 'rollback',
+        user: currentUserEmail,
+        previous: before,
+        next: { spreadsheetId: version === null ? '' : configStore.getVersionValue(version, 'SPREADSHEET.SPREADSHEET_ID') },
+        outcome: 'failed',
+        error: error.message,
+        details: { rollbackTarget: target === undefined ? null : target }
+      });
+    }
+    
     return {
       success: false,
       error: error.message,
       timestamp: new Date().toISOString()
     };
+  } finally {
+    auditService.flush();
+    endRequest();
+  }
+}
+
+/**
+ * Work out which settings version a rollback restores.
+ * Version 0 (the Config.js defaults) is never stored in the history, so it is
+ * the previous configuration when the history is empty after a save.
+ * 
+ * @param {number|string} [target] - Version number, spreadsheet ID, or nothing for the
+ *   version before the current one
+ * @param {ConfigStore} [store=configStore] - Settings store to look in
+ * @returns {number} Settings version to restore
+ * @throws {Error} If the target is not a recorded configuration
+ */
+function resolveRollbackVersion(target, store = configStore) {
+  if (target === undefined || target === null || target === '') {
+    const previous = store.getHistory()[0];
+    if (previous) {
+      return previous.version;
+    }
+    if (store.load().version > 0) {
+      return 0;
+    }
+    throw new Error('No earlier configuration is recorded');
+  }
+  
+  if (/^\d+$/.test(String(target))) {
+    const version = Number(target);
+    if (store.getVersionValue(version, 'SPREADSHEET.SPREADSHEET_ID') === undefined) {
+      throw new Error(`Settings version ${version} is not in the history`);
+    }
+    return version;
+  }
+  
+  const version = store.findVersion('SPREADSHEET.SPREADSHEET_ID', String(target).trim());
+  if (version === null) {
+    throw new Error(`No recorded configuration uses spreadsheet ${target}`);
+  }
+  return version;
+}
+
+/**
+ * Get the migration history: validations (dry runs), migrations, rollbacks and
+ * settings changes, newest first (admin function).
+ * 
+ * @param {Object} [filters={}] - Filters
+ * @param {string} [filters.type] - validation, migration, rollback or config_change
+ * @param {string} [filters.spreadsheetId] - Only entries involving this spreadsheet
+ * @param {number} [filters.limit=CONFIG.MIGRATION.HISTORY_LIMIT] - Maximum entries returned
+ * @returns {Object} Success response with { entries, totalEntries, ledgerSpreadsheetId }, or an error response
+ * 
+ * @example
+ * google.script.run
+ *   .withSuccessHandler(response => console.log(response.data.entries))
+ *   .getMigrationHistory({ type: 'migration' });
+ */
+function getMigrationHistory(filters = {}) {
+  beginRequest('getMigrationHistory');
+  try {
+    const currentUserEmail = userService.getCurrentUserEmail();
+    
+    if (!userService.authorize(currentUserEmail, CAPABILITIES.VIEW_DIAGNOSTICS)) {
+      return ErrorUtils.createErrorResponse('Access denied - admin privileges required', null, 'getMigrationHistory');
+    }
+    
+    const history = migrationLedger.list(filters || {});
+    
+    userService.logUserActivity(currentUserEmail, 'admin_migration_history_viewed', {
+      filters: filters || {},
+      totalEntries: history.totalEntries
+    });
+    
+    return ErrorUtils.createSuccessResponse(history, 'Migration history loaded');
+    
+  } catch (error) {
+    logError('Error getting migration history', { error: error.message }, 'getMigrationHistory');
+    return ErrorUtils.handleException(error, 'getMigrationHistory');
+  } finally {
+    auditService.flush();
+    endRequest();
   }
 }
 
@@ -301,10 +840,11 @@ function generatePreMigrationChecklist() {
       ],
       technicalPreparation: [
         '□ Current application is functioning normally',
-        '□ Recent backup of current configuration exists',
         '□ New spreadsheet ID has been obtained',
+        '□ Dry run of migrateToNewSchoolYear() reviewed',
+        '□ Schema diff (compatibility.schema) reviewed and proposed settings or column schema changes decided',
         '□ Test user accounts are available for validation',
-        '□ Rollback plan has been prepared'
+        '□ Rollback plan has been prepared (emergencyRollback restores the previous settings version)'
       ],
       communicationPreparation: [
         '□ Users have been notified of planned maintenance window',
@@ -321,7 +861,7 @@ function generatePreMigrationChecklist() {
     },
     recommendations: [
       'Perform migration during low-usage periods (evenings/weekends)',
-      'Have the previous spreadsheet ID ready for emergency rollback',
+      'Run migrateToNewSchoolYear() as a dry run before applying it',
       'Test thoroughly with users from multiple campuses',
       'Monitor application logs closely for the first week'
     ],
@@ -0,0 +1,261 @@
+/**
+ * @fileoverview Migration history ledger for NAHS Caseload Counts application.
+ *
+ * Records every school year validation (dry run), migration, rollback and
+ * runtime settings change in the Migration History sheet, with who made it,
+ * when, the old and new spreadsheet, the compatibility report and the outcome.
+ * The ledger spreadsheet is pinned on first use so the yearly rollover stays
+ * traceable in one place after the data spreadsheet changes.
+ *
+ * @namespace MigrationLedger
+ * @requires CONFIG - Application configuration constants
+ * @requires AppLogger - Application logging service
+ * @requires AuditService - Audit spreadsheet used when no ledger spreadsheet is configured
+ * @requires SpreadsheetApp - Google Apps Script spreadsheet service
+ *
+ * @author Alvaro Gomez, Academic Technology Coach
+ * @version 1.0.0
+ * @since 08-06-2025
+ */
+
+/**
+ * Migration ledger class for writing and reading migration history entries.
+ *
+ * @class MigrationLedger
+ * @classdesc Persists migrations, validations, rollbacks and settings changes
+ */
+class MigrationLedger {
+  /**
+   * Append an entry to the ledger. Failures are logged and never stop the
+   * migration or settings change being recorded.
+   *
+   * @param {Object} entry - Ledger entry
+   * @param {string} [entry.id] - Migration ID; a new one is generated when omitted
+   * @param {string} entry.type - validation, migration, rollback or config_change
+   * @param {string} entry.user - Email of the admin
+   * @param {Object} [entry.previous] - Previous { spreadsheetId, sheetName }
+   * @param {Object} [entry.next] - New { spreadsheetId, sheetName }
+   * @param {number} [entry.settingsVersion] - Settings version created (see ConfigStore)
+   * @param {Object} [entry.compatibility] - Compatibility report from analyzeDataCompatibility()
+   * @param {string} entry.outcome - passed, applied, unchanged or failed
+   * @param {string} [entry.error] - Error message when the outcome is failed
+   * @param {Object} [entry.details] - Extra details, such as the settings that changed
+   * @returns {string|null} Migration ID, or null if the entry could not be written
+   *
+   * @example
+   * migrationLedger.record({ type: 'rollback', user: email, previous, next, outcome: 'applied' });
+   */
+  record(entry) {
+    const id = entry.id || this.generateId();
+    try {
+      const sheet = this.getLedgerSheet();
+      sheet.appendRow(this.toRow(Object.assign({}, entry, { id: id })));
+      logDebug('Migration history entry written', { id: id, type: entry.type, outcome: entry.outcome }, 'MigrationLedger.record');
+      return id;
+    } catch (error) {
+      logError('Failed to write migration history', { error: error.message, id: id, type: entry.type }, 'MigrationLedger.record');
+      return null;
+    }
+  }
+
+  /**
+   * List ledger entries, newest first.
+   *
+   * @param {Object} [filters={}] - Filters
+   * @param {string} [filters.type] - Only entries of this type
+   * @param {string} [filters.spreadsheetId] - Only entries where this was the previous or new spreadsheet
+   * @param {number} [filters.limit=CONFIG.MIGRATION.HISTORY_LIMIT] - Maximum entries returned
+   * @returns {Object} Result as { entries, totalEntries, ledgerSpreadsheetId }
+   */
+  list(filters = {}) {
+    const sheet = this.getLedgerSheet(false);
+    if (!sheet) {
+      return { entries: [], totalEntries: 0, ledgerSpreadsheetId: this.getLedgerSpreadsheetId() };
+    }
+
+    const type = filters.type ? String(filters.type) : '';
+    const spreadsheetId = filters.spreadsheetId ? String(filters.spreadsheetId).trim() : '';
+    const limit = Math.max(parseInt(filters.limit, 10) || CONFIG.MIGRATION.HISTORY_LIMIT, 1);
+
+    const matches = sheet.getDataRange().getValues().slice(1)
+      .map(row => this.fromRow(row))
+      .filter(entry => entry &&
+        (!type || entry.type === type) &&
+        (!spreadsheetId || entry.previousSpreadsheetId === spreadsheetId || entry.newSpreadsheetId === spreadsheetId));
+
+    // Rows are appended in order, so reverse first to keep same-second entries newest first
+    matches.reverse().sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+    return {
+      entries: matches.slice(0, limit),
+      totalEntries: matches.length,
+      ledgerSpreadsheetId: this.getLedgerSpreadsheetId()
+    };
+  }
+
+  /**
+   * Create a migration ID from the UTC time and six random characters.
+   * @returns {string} Migration ID such as MIG_20250908143000_k3x9qa
+   */
+  generateId() {
+    const timestamp = new Date().toISOString().replace(/[-:T.]/g, '').substring(0, 14);
+    const random = Utilities.getUuid().replace(/-/g, '').substring(0, 6);
+    return `MIG_${timestamp}_${random}`;
+  }
+
+  /**
+   * Remember the current audit spreadsheet as the ledger spreadsheet.
+   * Call this before switching the data spreadsheet, so entries written after
+   * the switch go to the same ledger as earlier ones.
+   *
+   * @returns {string} Ledger spreadsheet ID
+   */
+  pinSpreadsheet() {
+    const existing = this.getLedgerSpreadsheetId();
+    if (existing) {
+      return existing;
+    }
+
+    const spreadsheetId = auditService.pinSpreadsheet();
+    PropertiesService.getScriptProperties().setProperty(CONFIG.MIGRATION.LEDGER_SPREADSHEET_PROPERTY, spreadsheetId);
+    logInfo('Migration history spreadsheet pinned', { spreadsheetId }, 'MigrationLedger.pinSpreadsheet');
+    return spreadsheetId;
+  }
+
+  /**
+   * Get the configured or pinned ledger spreadsheet ID.
+   * @returns {string|null} Spreadsheet ID, or null if none is configured or pinned yet
+   * @private
+   */
+  getLedgerSpreadsheetId() {
+    return CONFIG.MIGRATION.LEDGER_SPREADSHEET_ID ||
+      PropertiesService.getScriptProperties().getProperty(CONFIG.MIGRATION.LEDGER_SPREADSHEET_PROPERTY) ||
+      null;
+  }
+
+  /**
+   * Get the ledger sheet, creating it (and pinning the spreadsheet) if needed.
+   *
+   * @param {boolean} [create=true] - Create the sheet when it does not exist
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet|null} Ledger sheet, or null when missing and create is false
+   * @private
+   */
+  getLedgerSheet(create = true) {
+    const settings = CONFIG.MIGRATION;
+    const spreadsheetId = create ? this.pinSpreadsheet() : this.getLedgerSpreadsheetId();
+    const spreadsheet = spreadsheetId ? SpreadsheetApp.openById(spreadsheetId) : auditService.getAuditSpreadsheet();
+    let sheet = spreadsheet.getSheetByName(settings.HISTORY_SHEET_NAME);
+
+    if (!sheet) {
+      if (!create) {
+        return null;
+      }
+      sheet = spreadsheet.insertSheet(settings.HISTORY_SHEET_NAME);
+      sheet.getRange(1, 1, 1, settings.HISTORY_HEADERS.length)
+        .setValues([settings.HISTORY_HEADERS])
+        .setFontWeight('bold');
+      sheet.setFrozenRows(1);
+    } else if (create && sheet.getLastColumn() < settings.HISTORY_HEADERS.length) {
+      // Sheet created before columns were added to CONFIG.MIGRATION.HISTORY_HEADERS
+      sheet.getRange(1, 1, 1, settings.HISTORY_HEADERS.length)
+        .setValues([settings.HISTORY_HEADERS])
+        .setFontWeight('bold');
+    }
+
+    return sheet;
+  }
+
+  /**
+   * Convert a ledger entry to a sheet row.
+   * @param {Object} entry - Entry passed to record(), with its id
+   * @returns {Array<*>} Row values in CONFIG.MIGRATION.HISTORY_HEADERS order
+   * @private
+   */
+  toRow(entry) {
+    const previous = entry.previous || {};
+    const next = entry.next || {};
+    const compatibility = entry.compatibility || null;
+    return [
+      new Date(),
+      entry.id,
+      entry.type,
+      entry.user || '',
+      previous.spreadsheetId || '',
+      previous.sheetName || '',
+      next.spreadsheetId || '',
+      next.sheetName || '',
+      entry.settingsVersion === undefined || entry.settingsVersion === null ? '' : entry.settingsVersion,
+      compatibility ? compatibility.summary || '' : '',
+      entry.outcome,
+      entry.error || '',
+      compatibility ? this.toCell(compatibility) : '',
+      entry.details ? this.toCell(entry.details) : '',
+      getRequestId()
+    ];
+  }
+
+  /**
+   * Convert a sheet row back to an entry.
+   * @param {Array<*>} row - Row values in CONFIG.MIGRATION.HISTORY_HEADERS order
+   * @returns {Object|null} Entry, or null for rows without a valid timestamp
+   * @private
+   */
+  fromRow(row) {
+    if (!DateUtils.isValidDate(row[0]) || row[0] === '') {
+      return null;
+    }
+
+    const date = row[0] instanceof Date ? row[0] : new Date(row[0]);
+    const text = index => (row[index] === undefined || row[index] === null ? '' : String(row[index]));
+    return {
+      timestamp: date.toISOString(),
+      id: text(1),
+      type: text(2),
+      user: text(3),
+      previousSpreadsheetId: text(4),
+      previousSheetName: text(5),
+      newSpreadsheetId: text(6),
+      newSheetName: text(7),
+      settingsVersion: text(8) === '' ? null : Number(row[8]),
+      compatibility: text(9),
+      outcome: text(10),
+      error: text(11),
+      report: this.parseCell(text(12)),
+      details: this.parseCell(text(13)),
+      requestId: text(14)
+    };
+  }
+
+  /**
+   * Serialize a value for a sheet cell, truncated to CONFIG.MIGRATION.MAX_CELL_LENGTH.
+   * @param {*} value - Value to serialize
+   * @returns {string} JSON text
+   * @private
+   */
+  toCell(value) {
+    const json = JSON.stringify(value);
+    return json.length > CONFIG.MIGRATION.MAX_CELL_LENGTH
+      ? json.substring(0, CONFIG.MIGRATION.MAX_CELL_LENGTH)
+      : json;
+  }
+
+  /**
+   * Parse a JSON cell written by toCell().
+   * @param {string} text - Cell text
+   * @returns {*} Parsed value; truncated or invalid JSON is returned as text, and an empty cell as null
+   * @private
+   */
+  parseCell(text) {
+    if (!text) {
+      return null;
+    }
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+}
+
+// Global instance
+const migrationLedger = new MigrationLedger();
@@ -0,0 +1,386 @@
+/**
+ * @fileoverview Installable trigger management for NAHS Caseload Counts application.
+ *
+ * Sets up, lists and removes the project's installable triggers: a time-driven
+ * cache pre-warm that rebuilds the shared campus cache every few minutes during
+ * school hours, an on-change trigger on the caseload spreadsheet that
+ * invalidates cached data as soon as the sheet is edited, and the weekly
+ * coordinator digest email.
+ * Triggers run as the user who installed them and are only visible to that user,
+ * so the installer of each handler's trigger is recorded in Script Properties and
+ * other administrators cannot install a second copy.
+ *
+ * @namespace TriggerService
+ * @requires CONFIG - Application configuration constants
+ * @requires AppLogger - Application logging service
+ * @requires ScriptApp - Google Apps Script trigger service
+ * @requires PropertiesService - Google Apps Script properties service
+ *
+ * @author Alvaro Gomez, Academic Technology Coach
+ * @version 1.0.0
+ * @since 08-06-2025
+ */
+
+/**
+ * Trigger service class for installing and running scheduled jobs.
+ *
+ * @class TriggerService
+ * @classdesc Manages the project's installable triggers and the jobs they run
+ */
+class TriggerService {
+  /**
+   * List the project's installable triggers owned by the current user.
+   *
+   * @returns {Array<Object>} Triggers as { id, handler, eventType, source }
+   *
+   * @example
+   * const triggers = triggerService.listTriggers();
+   * console.log(triggers.map(trigger => trigger.handler).join(', '));
+   */
+  listTriggers() {
+    return ScriptApp.getProjectTriggers().map(trigger => ({
+      id: trigger.getUniqueId(),
+      handler: trigger.getHandlerFunction(),
+      eventType: String(trigger.getEventType()),
+      source: String(trigger.getTriggerSource())
+    }));
+  }
+
+  /**
+   * Install a time-driven trigger that runs a handler every few minutes.
+   * Existing triggers for the same handler are removed first, so calling this
+   * twice never schedules the job twice.
+   *
+   * @param {string} handler - Name of the global function to run
+   * @param {number} minutes - Interval in minutes (1, 5, 10, 15 or 30)
+   * @returns {Object} Installed trigger (see listTriggers)
+   * @throws {Error} If another user installed the handler's trigger (see assertOwner)
+   */
+  installTimeTrigger(handler, minutes) {
+    this.assertOwner(handler);
+    this.removeTriggers(handler);
+
+    const trigger = ScriptApp.newTrigger(handler)
+      .timeBased()
+      .everyMinutes(minutes)
+      .create();
+
+    this.setOwner(handler, trigger.getUniqueId());
+    logInfo('Time-driven trigger installed', { handler, minutes }, 'TriggerService.installTimeTrigger');
+
+    return {
+      id: trigger.getUniqueId(),
+      handler: handler,
+      eventType: String(trigger.getEventType()),
+      source: String(trigger.getTriggerSource())
+    };
+  }
+
+  /**
+   * Install a time-driven trigger that runs a handler once a week.
+   * Existing triggers for the same handler are removed first.
+   *
+   * @param {string} handler - Name of the global function to run
+   * @param {string} weekDay - ScriptApp.WeekDay name, such as 'MONDAY'
+   * @param {number} hour - Hour of the day (0-23) in the script time zone
+   * @returns {Object} Installed trigger (see listTriggers)
+   * @throws {Error} If another user installed the handler's trigger (see assertOwner)
+   */
+  installWeeklyTrigger(handler, weekDay, hour) {
+    this.assertOwner(handler);
+    this.removeTriggers(handler);
+
+    const trigger = ScriptApp.newTrigger(handler)
+      .timeBased()
+      .onWeekDay(ScriptApp.WeekDay[weekDay])
+      .atHour(hour)
+      .create();
+
+    this.setOwner(handler, trigger.getUniqueId());
+    logInfo('Weekly trigger installed', { handler, weekDay, hour }, 'TriggerService.installWeeklyTrigger');
+
+    return {
+      id: trigger.getUniqueId(),
+      handler: handler,
+      eventType: String(trigger.getEventType()),
+      source: String(trigger.getTriggerSource())
+    };
+  }
+
+  /**
+   * Install an on-change trigger on a spreadsheet.
+   * Existing triggers for the same handler are removed first.
+   *
+   * @param {string} handler - Name of the global function to run
+   * @param {string} spreadsheetId - Spreadsheet to watch
+   * @returns {Object} Installed trigger (see listTriggers)
+   * @throws {Error} If another user installed the handler's trigger (see assertOwner)
+   */
+  installChangeTrigger(handler, spreadsheetId) {
+    this.assertOwner(handler);
+    this.removeTriggers(handler);
+
+    const trigger = ScriptApp.newTrigger(handler)
+      .forSpreadsheet(spreadsheetId)
+      .onChange()
+      .create();
+
+    this.setOwner(handler, trigger.getUniqueId());
+    logInfo('On-change trigger installed', { handler, spreadsheetId }, 'TriggerService.installChangeTrigger');
+
+    return {
+      id: trigger.getUniqueId(),
+      handler: handler,
+      eventType: String(trigger.getEventType()),
+      source: String(trigger.getTriggerSource())
+    };
+  }
+
+  /**
+   * Remove every trigger of the current user that runs a handler, and its owner record.
+   *
+   * @param {string} handler - Name of the global function
+   * @returns {number} Number of triggers removed
+   * @throws {Error} If another user installed the handler's trigger (see assertOwner)
+   */
+  removeTriggers(handler) {
+    this.assertOwner(handler);
+
+    let removed = 0;
+    ScriptApp.getProjectTriggers().forEach(trigger => {
+      if (trigger.getHandlerFunction() === handler) {
+        ScriptApp.deleteTrigger(trigger);
+        removed++;
+      }
+    });
+    PropertiesService.getScriptProperties().deleteProperty(this.getOwnerKey(handler));
+
+    if (removed > 0) {
+      logInfo('Triggers removed', { handler, removed }, 'TriggerService.removeTriggers');
+    }
+    return removed;
+  }
+
+  /**
+   * Get who installed a handler's trigger.
+   *
+   * @param {string} handler - Name of the global function
+   * @returns {Object|null} Owner as { installedBy, triggerId, installedAt }, or null if none is recorded
+   */
+  getOwner(handler) {
+    const raw = PropertiesService.getScriptProperties().getProperty(this.getOwnerKey(handler));
+    if (!raw) {
+      return null;
+    }
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      logWarn('Unreadable trigger owner record ignored', { handler, error: error.message }, 'TriggerService.getOwner');
+      return null;
+    }
+  }
+
+  /**
+   * Refuse to change a handler's trigger that another user installed.
+   * Apps Script only lets the installer see or delete a trigger, so a second
+   * administrator would otherwise add a duplicate (and, for the digest, send
+   * every email twice).
+   *
+   * @param {string} handler - Name of the global function
+   * @returns {void}
+   * @throws {Error} If the recorded installer is not the current user
+   */
+  assertOwner(handler) {
+    const owner = this.getOwner(handler);
+    if (owner && owner.installedBy !== this.getCurrentUser()) {
+      throw new Error(`The ${handler} trigger was installed by ${owner.installedBy}. ` +
+        'Only that user can change or remove it.');
+    }
+  }
+
+  /**
+   * Record the current user as the installer of a handler's trigger.
+   *
+   * @param {string} handler - Name of the global function
+   * @param {string} triggerId - Unique ID of the installed trigger
+   * @private
+   */
+  setOwner(handler, triggerId) {
+    PropertiesService.getScriptProperties().setProperty(this.getOwnerKey(handler), JSON.stringify({
+      installedBy: this.getCurrentUser(),
+      triggerId: triggerId,
+      installedAt: new Date().toISOString()
+    }));
+  }
+
+  /**
+   * Script Property holding a handler's owner record.
+   * @param {string} handler - Name of the global function
+   * @returns {string} Property key
+   * @private
+   */
+  getOwnerKey(handler) {
+    return `${CONFIG.TRIGGERS.OWNER_PROPERTY_PREFIX}${handler}`;
+  }
+
+  /**
+   * Email of the user whose triggers ScriptApp manages in this execution.
+   * @returns {string} Lowercase email
+   * @private
+   */
+  getCurrentUser() {
+    return String(Session.getEffectiveUser().getEmail() || '').toLowerCase();
+  }
+
+  /**
+   * Turn the cache pre-warm trigger on or off.
+   *
+   * @param {boolean} enabled - True to install the trigger, false to remove it
+   * @returns {Object} Trigger status (see getStatus)
+   * @throws {Error} If another user installed the trigger (see assertOwner)
+   */
+  setPrewarmEnabled(enabled) {
+    if (enabled) {
+      this.installTimeTrigger(CONFIG.TRIGGERS.PREWARM_HANDLER, CONFIG.TRIGGERS.PREWARM_INTERVAL_MINUTES);
+    } else {
+      this.removeTriggers(CONFIG.TRIGGERS.PREWARM_HANDLER);
+    }
+    return this.getStatus();
+  }
+
+  /**
+   * Turn change detection on the caseload spreadsheet on or off.
+   * ConfigStore re-runs this when the spreadsheet ID changes so the trigger watches the new sheet.
+   *
+   * @param {boolean} enabled - True to install the trigger, false to remove it
+   * @returns {Object} Trigger status (see getStatus)
+   * @throws {Error} If another user installed the trigger (see assertOwner)
+   */
+  setChangeDetectionEnabled(enabled) {
+    if (enabled) {
+      this.installChangeTrigger(CONFIG.TRIGGERS.CHANGE_HANDLER, CONFIG.SPREADSHEET.SPREADSHEET_ID);
+    } else {
+      this.removeTriggers(CONFIG.TRIGGERS.CHANGE_HANDLER);
+    }
+    return this.getStatus();
+  }
+
+  /**
+   * Turn the weekly coordinator digest on or off.
+   *
+   * @param {boolean} enabled - True to install the trigger, false to remove it
+   * @returns {Object} Trigger status (see getStatus)
+   * @throws {Error} If another user installed the trigger (see assertOwner)
+   */
+  setDigestEnabled(enabled) {
+    if (enabled) {
+      this.installWeeklyTrigger(CONFIG.DIGEST.HANDLER, CONFIG.DIGEST.WEEK_DAY, CONFIG.DIGEST.HOUR);
+    } else {
+      this.removeTriggers(CONFIG.DIGEST.HANDLER);
+    }
+    return this.getStatus();
+  }
+
+  /**
+   * Get the state of the scheduled jobs.
+   * A job installed by another user counts as enabled even though its trigger
+   * is not visible here; installedBy names the user who can change it.
+   *
+   * @returns {Object} Status as { prewarm: { enabled, installedBy, intervalMinutes, schoolHours },
+   *   changeDetection: { enabled, installedBy, spreadsheetId }, digest: { enabled, installedBy, weekDay, hour },
+   *   cacheGeneration, triggers }
+   */
+  getStatus() {
+    const triggers = this.listTriggers();
+    const currentUser = this.getCurrentUser();
+    const job = handler => {
+      const owner = this.getOwner(handler);
+      return {
+        enabled: triggers.some(trigger => trigger.handler === handler) ||
+          Boolean(owner && owner.installedBy !== currentUser),
+        installedBy: owner ? owner.installedBy : null
+      };
+    };
+    return {
+      prewarm: Object.assign(job(CONFIG.TRIGGERS.PREWARM_HANDLER), {
+        intervalMinutes: CONFIG.TRIGGERS.PREWARM_INTERVAL_MINUTES,
+        schoolHours: CONFIG.TRIGGERS.SCHOOL_HOURS
+      }),
+      changeDetection: Object.assign(job(CONFIG.TRIGGERS.CHANGE_HANDLER), {
+        spreadsheetId: CONFIG.SPREADSHEET.SPREADSHEET_ID
+      }),
+      digest: Object.assign(job(CONFIG.DIGEST.HANDLER), {
+        weekDay: CONFIG.DIGEST.WEEK_DAY,
+        hour: CONFIG.DIGEST.HOUR
+      }),
+      cacheGeneration: CacheUtils.getGeneration(),
+      triggers: triggers
+    };
+  }
+
+  /**
+   * Invalidate cached caseload data after the spreadsheet changes.
+   * Installable triggers do not fire for changes made by scripts, so the
+   * application's own writes (such as the audit log) do not trigger this.
+   *
+   * @param {Object} [event={}] - On-change event
+   * @param {string} [event.changeType] - EDIT, INSERT_ROW, REMOVE_ROW, etc.
+   * @returns {void}
+   */
+  handleChange(event = {}) {
+    const changeType = event.changeType || 'UNKNOWN';
+    dataService.invalidateCampusCache(`spreadsheet change (${changeType})`);
+  }
+
+  /**
+   * Rebuild the shared campus cache if it is school hours.
+   * The build is kept one interval longer than the trigger period, so the cache
+   * stays warm between runs. Counts are built from the same campus slices.
+   *
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Object} Result as { skipped, reason } or { skipped: false, campusCount, rowCount }
+   */
+  runPrewarm(now = new Date()) {
+    if (!this.isWithinSchoolHours(now)) {
+      logDebug('Outside school hours - pre-warm skipped', null, 'TriggerService.runPrewarm');
+      return { skipped: true, reason: 'outside_school_hours' };
+    }
+
+    const startTime = new Date();
+    const snapshot = dataService.rebuildCampusCache({
+      force: true,
+      duration: CONFIG.TRIGGERS.PREWARM_INTERVAL_MINUTES * 60 * 2
+    });
+
+    const result = {
+      skipped: false,
+      campusCount: Object.keys(snapshot.slices).length,
+      rowCount: snapshot.rowCount
+    };
+    logInfo('Caches pre-warmed', result, 'TriggerService.runPrewarm');
+    logPerformance('TriggerService.runPrewarm', startTime);
+    return result;
+  }
+
+  /**
+   * Check whether a time falls within CONFIG.TRIGGERS.SCHOOL_HOURS in the script time zone.
+   *
+   * @param {Date} now - Time to check
+   * @returns {boolean} True during school hours
+   *
+   * @example
+   * // Monday 7:30 AM with the default settings
+   * triggerService.isWithinSchoolHours(new Date(2025, 8, 8, 7, 30)); // true
+   */
+  isWithinSchoolHours(now) {
+    const hours = CONFIG.TRIGGERS.SCHOOL_HOURS;
+    const timeZone = Session.getScriptTimeZone();
+    const day = Number(Utilities.formatDate(now, timeZone, 'u'));
+    const hour = Number(Utilities.formatDate(now, timeZone, 'H'));
+
+    return hours.DAYS.includes(day) && hour >= hours.START_HOUR && hour < hours.END_HOUR;
+  }
+}
+
+// Global instance
+const triggerService = new TriggerService();
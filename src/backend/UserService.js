@@ -11,6 +11,8 @@
  * @requires CacheService - Google Apps Script caching service
  * @requires Session - Google Apps Script session service
  * @requires HtmlService - Google Apps Script HTML service
+ * @requires SpreadsheetApp - Google Apps Script spreadsheet service
+ * @requires auditService - Audit log service
  * 
  * @author Alvaro Gomez, Academic Technology Coach
  * @version 1.0.0
@@ -28,12 +30,13 @@
 class UserService {
   /**
    * Create a UserService instance.
-   * Initializes caching for performance optimization.
+   * Permissions are cached through CacheUtils.putLarge/getLarge.
    * 
    * @constructor
    */
   constructor() {
-    this.cache = CacheService.getScriptCache();
+    this.permissionsTable = null;
+    this.permissionsTableLoaded = false;
   }
 
   /**
@@ -101,14 +104,16 @@ class UserService {
   }
 
   /**
-   * Get user permissions from cache or configuration.
+   * Get user permissions from cache or the user permissions sheet.
    * Retrieves and caches user permission settings including campus access and roles.
    * 
    * @param {string} email - User's email address
    * @returns {Object} User permissions object containing roles and campus access
    * @returns {Array<string>} return.campuses - List of campuses user has access to
-   * @returns {string} return.role - User's role (admin, user, etc.)
-   * @returns {boolean} return.fullAccess - Whether user has full system access
+   * @returns {string} return.role - User's role from ROLES ('none' without access)
+   * @returns {Array<string>} return.capabilities - Capabilities granted by the role
+   * @returns {boolean} return.isFullAccess - Whether user can see every campus
+   * @returns {Array<string>|null} return.columns - Schema columns from the permissions sheet, or null to use role rules
    * 
    * @throws {Error} If email is invalid or permissions cannot be loaded
    * 
@@ -126,26 +131,21 @@ class UserService {
       }
 
       // Try to get from cache first
-      const cacheKey = `${CONFIG.CACHE.PREFIX}permissions_${email}`;
-      const cached = this.cache.get(cacheKey);
+      const cacheKey = this.getPermissionsCacheKey(email);
+      const cached = CacheUtils.getLarge(cacheKey, 'permissions');
       
       if (cached) {
         logDebug('User permissions retrieved from cache', null, 'UserService.getUserPermissions');
-        const permissions = JSON.parse(cached);
         logPerformance('getUserPermissions (cached)', startTime);
-        return permissions;
+        return cached;
       }
 
-      // Load from configuration (legacy method)
-      const permissions = this.loadUserPermissionsFromConfig(email);
+      // Load from the permissions sheet (legacy mapping only if the sheet is missing)
+      const permissions = this.loadUserPermissions(email);
       
-      // Cache the permissions
-      try {
-        this.cache.put(cacheKey, JSON.stringify(permissions), CONFIG.CACHE.USER_PERMISSIONS_DURATION);
+      // Cache the permissions (failures are logged by CacheUtils; continue without caching)
+      if (CacheUtils.putLarge(cacheKey, permissions, CONFIG.CACHE.USER_PERMISSIONS_DURATION, 'permissions')) {
         logDebug('User permissions cached successfully', null, 'UserService.getUserPermissions');
-      } catch (cacheError) {
-        logWarn('Failed to cache user permissions', { error: cacheError.message }, 'UserService.getUserPermissions');
-        // Continue without caching
       }
 
       logPerformance('getUserPermissions (fresh)', startTime);
@@ -157,6 +157,339 @@ class UserService {
     }
   }
 
+  /**
+   * Load user permissions from the permissions sheet, falling back to the legacy mapping.
+   * The legacy mapping is only consulted when the permissions sheet does not exist.
+   * 
+   * @param {string} email - User's email address
+   * @returns {Object} Permissions object with campus access and role information
+   * 
+   * @private
+   */
+  loadUserPermissions(email) {
+    const table = this.getPermissionsTable();
+
+    if (!table) {
+      logInfo('Permissions sheet not found - using legacy mapping', {
+        sheetName: CONFIG.SPREADSHEET.USER_PERMISSIONS_SHEET
+      }, 'UserService.loadUserPermissions');
+      return this.loadUserPermissionsFromConfig(email);
+    }
+
+    return this.loadUserPermissionsFromSheet(email, table);
+  }
+
+  /**
+   * Read and parse the user permissions sheet.
+   * The parsed table is kept for the rest of the script execution so several
+   * lookups only read the sheet once.
+   * 
+   * @returns {Object|null} Parsed permissions table (see parsePermissionRows), or null if the sheet does not exist
+   * @throws {Error} If the spreadsheet cannot be opened or read
+   * 
+   * @example
+   * const table = userService.getPermissionsTable();
+   * if (table) {
+   *   console.log(`${Object.keys(table.users).length} users configured`);
+   * }
+   */
+  getPermissionsTable() {
+    if (this.permissionsTableLoaded) {
+      return this.permissionsTable;
+    }
+
+    try {
+      const startTime = new Date();
+      const spreadsheet = SpreadsheetApp.openById(CONFIG.SPREADSHEET.SPREADSHEET_ID);
+      const sheet = spreadsheet.getSheetByName(CONFIG.SPREADSHEET.USER_PERMISSIONS_SHEET);
+
+      if (!sheet) {
+        this.permissionsTable = null;
+        this.permissionsTableLoaded = true;
+        return null;
+      }
+
+      const table = this.parsePermissionRows(sheet.getDataRange().getValues());
+
+      if (table.errors.length > 0) {
+        logWarn('Invalid rows found in user permissions sheet', {
+          errorCount: table.errors.length,
+          errors: table.errors
+        }, 'UserService.getPermissionsTable');
+      }
+
+      logInfo('User permissions sheet loaded', {
+        userCount: Object.keys(table.users).length,
+        errorCount: table.errors.length
+      }, 'UserService.getPermissionsTable');
+
+      this.permissionsTable = table;
+      this.permissionsTableLoaded = true;
+      logPerformance('getPermissionsTable', startTime);
+      return table;
+    } catch (error) {
+      logError('Failed to load user permissions sheet', { error: error.message }, 'UserService.getPermissionsTable');
+      throw error;
+    }
+  }
+
+  /**
+   * Parse the rows of the user permissions sheet into a lookup table.
+   * Rows with an invalid email, an invalid active flag, no recognized campuses or a
+   * duplicate email are skipped; unknown campus names are dropped from their row.
+   * Every problem is reported in the returned errors list with its sheet row number.
+   * 
+   * @param {Array<Array<*>>} rows - Sheet values including the header row
+   * @returns {Object} Parsed permissions table
+   * @returns {Object<string, Object>} return.users - Entries keyed by lower-case email
+   * @returns {Array<Object>} return.errors - Problems found, as { row, reason }
+   * 
+   * @example
+   * const table = userService.parsePermissionRows([
+   *   ['EMAIL', 'CAMPUSES', 'ROLE', 'ACTIVE'],
+   *   ['jane.doe@nisd.net', 'Brandeis, Clark', 'coordinator', true]
+   * ]);
+   * // table.users['jane.doe@nisd.net'].campuses -> ['Brandeis', 'Clark']
+   */
+  parsePermissionRows(rows) {
+    const table = { users: {}, errors: [] };
+
+    if (!rows || rows.length === 0) {
+      table.errors.push({ row: 1, reason: 'Permissions sheet is empty' });
+      return table;
+    }
+
+    const columns = CONFIG.SPREADSHEET.USER_PERMISSIONS_COLUMNS;
+    const headers = rows[0].map(header => String(header).trim().toUpperCase());
+    const indexes = {
+      email: headers.indexOf(columns.EMAIL.toUpperCase()),
+      campuses: headers.indexOf(columns.CAMPUSES.toUpperCase()),
+      role: headers.indexOf(columns.ROLE.toUpperCase()),
+      active: headers.indexOf(columns.ACTIVE.toUpperCase()),
+      columns: headers.indexOf(columns.COLUMNS.toUpperCase())
+    };
+
+    if (indexes.email === -1 || indexes.campuses === -1) {
+      table.errors.push({
+        row: 1,
+        reason: `Missing required header "${indexes.email === -1 ? columns.EMAIL : columns.CAMPUSES}"`
+      });
+      return table;
+    }
+
+    rows.slice(1).forEach((row, i) => {
+      const rowNumber = i + 2;
+
+      if (row.every(cell => ValidationUtils.isEmpty(cell))) {
+        return; // Ignore blank rows
+      }
+
+      const email = String(row[indexes.email]).trim().toLowerCase();
+      if (!ValidationUtils.isValidEmail(email) || !email.endsWith(CONFIG.SECURITY.ALLOWED_DOMAIN)) {
+        table.errors.push({ row: rowNumber, reason: `Invalid email "${email}"` });
+        return;
+      }
+
+      if (table.users[email]) {
+        table.errors.push({
+          row: rowNumber,
+          reason: `Duplicate entry for ${email} (first defined on row ${table.users[email].rowNumber})`
+        });
+        return;
+      }
+
+      const active = indexes.active === -1 ? true : this.parseActiveFlag(row[indexes.active]);
+      if (active === null) {
+        table.errors.push({ row: rowNumber, reason: `Invalid active flag "${row[indexes.active]}"` });
+        return;
+      }
+
+      const campuses = this.parseCampusList(row[indexes.campuses], rowNumber, table.errors);
+      if (campuses.length === 0) {
+        table.errors.push({ row: rowNumber, reason: 'No valid campuses listed' });
+        return;
+      }
+
+      let role = this.normalizeRole(indexes.role === -1 ? '' : row[indexes.role]);
+      if (!role) {
+        table.errors.push({ row: rowNumber, reason: `Unknown role "${row[indexes.role]}" - using ${ROLES.VIEWER}` });
+        role = ROLES.VIEWER;
+      }
+
+      table.users[email] = {
+        email: email,
+        campuses: campuses,
+        role: role,
+        active: active,
+        columns: indexes.columns === -1 ? null : this.parseColumnList(row[indexes.columns], rowNumber, table.errors),
+        rowNumber: rowNumber
+      };
+    });
+
+    return table;
+  }
+
+  /**
+   * Parse a comma-separated campus cell into canonical campus names.
+   * Names are matched like campus values in the data sheet (see CampusUtils.normalizeCampus);
+   * ALL expands to every campus.
+   * 
+   * @param {*} value - Raw cell value
+   * @param {number} rowNumber - Sheet row number, used for error reporting
+   * @param {Array<Object>} errors - List that unknown campus names are reported to
+   * @returns {Array<string>} Canonical campus names without duplicates
+   * 
+   * @private
+   */
+  parseCampusList(value, rowNumber, errors) {
+    const names = String(value || '').split(/[,;\n]/).map(name => name.trim()).filter(Boolean);
+
+    if (names.some(name => name.toUpperCase() === 'ALL')) {
+      return [...CONFIG.CAMPUSES];
+    }
+
+    const campuses = [];
+    names.forEach(name => {
+      const campus = CampusUtils.normalizeCampus(name);
+      if (!campus) {
+        errors.push({ row: rowNumber, reason: `Unknown campus "${name}"` });
+      } else if (!campuses.includes(campus)) {
+        campuses.push(campus);
+      }
+    });
+
+    return campuses;
+  }
+
+  /**
+   * Parse the optional COLUMNS cell of the permissions sheet.
+   * Names are matched to CONFIG.SPREADSHEET.COLUMN_SCHEMA headers case-insensitively;
+   * unknown names are reported and skipped.
+   * 
+   * @param {*} value - Cell value (comma-separated header names)
+   * @param {number} rowNumber - Sheet row number for error reporting
+   * @param {Array<Object>} errors - Error list to append to
+   * @returns {Array<string>|null} Schema headers the user may see, or null when the cell is blank
+   * 
+   * @private
+   */
+  parseColumnList(value, rowNumber, errors) {
+    if (ValidationUtils.isEmpty(value) || String(value).trim() === '') {
+      return null;
+    }
+
+    const schemaHeaders = CONFIG.SPREADSHEET.COLUMN_SCHEMA.map(column => column.header);
+    const columns = [];
+
+    String(value).split(',').map(name => name.trim()).filter(Boolean).forEach(name => {
+      const header = schemaHeaders.find(schemaHeader =>
+        schemaHeader.trim().toUpperCase() === name.toUpperCase());
+      if (!header) {
+        errors.push({ row: rowNumber, reason: `Unknown column "${name}"` });
+      } else if (!columns.includes(header)) {
+        columns.push(header);
+      }
+    });
+
+    return columns;
+  }
+
+  /**
+   * Normalize a role name from the permissions sheet.
+   * Accepts spaces or hyphens in place of underscores and any letter case;
+   * a blank value maps to CONFIG.SECURITY.DEFAULT_ROLE.
+   * 
+   * @param {*} value - Raw cell value
+   * @returns {string|null} Role from ROLES, or null if the value is not a known role
+   * 
+   * @private
+   */
+  normalizeRole(value) {
+    const role = String(value === null || value === undefined ? '' : value)
+      .trim()
+      .toLowerCase()
+      .replace(/[\s-]+/g, '_');
+
+    if (!role) {
+      return CONFIG.SECURITY.DEFAULT_ROLE;
+    }
+
+    return Object.values(ROLES).includes(role) ? role : null;
+  }
+
+  /**
+   * Interpret the value of an ACTIVE cell.
+   * 
+   * @param {*} value - Raw cell value (checkbox boolean or text)
+   * @returns {boolean|null} Active flag, or null if the value is not recognized
+   * 
+   * @private
+   */
+  parseActiveFlag(value) {
+    if (typeof value === 'boolean') {
+      return value;
+    }
+
+    const text = String(value === null || value === undefined ? '' : value).trim().toUpperCase();
+    if (['', 'TRUE', 'YES', 'Y', '1', 'ACTIVE'].includes(text)) {
+      return true;
+    }
+    if (['FALSE', 'NO', 'N', '0', 'INACTIVE'].includes(text)) {
+      return false;
+    }
+    return null;
+  }
+
+  /**
+   * Build a user's permissions from a parsed permissions sheet entry.
+   * 
+   * @param {string} email - User's email address
+   * @param {Object} table - Parsed permissions table from getPermissionsTable()
+   * @returns {Object} Permissions object with campus access and role information
+   * 
+   * @private
+   */
+  loadUserPermissionsFromSheet(email, table) {
+    const entry = table.users[email.toLowerCase()];
+
+    if (!entry || !entry.active) {
+      logInfo(entry ? 'User is inactive in permissions sheet' : 'User not found in permissions sheet', {
+        email
+      }, 'UserService.loadUserPermissionsFromSheet');
+      return {
+        email: email,
+        campuses: [],
+        hasAccess: false,
+        isFullAccess: false,
+        role: 'none',
+        capabilities: [],
+        source: 'sheet'
+      };
+    }
+
+    const isFullAccess = entry.campuses.length >= CONFIG.SECURITY.FULL_ACCESS_CAMPUS_COUNT;
+
+    const permissions = {
+      email: email,
+      campuses: entry.campuses,
+      hasAccess: true,
+      isFullAccess: isFullAccess,
+      role: entry.role,
+      capabilities: this.getRoleCapabilities(entry.role),
+      columns: entry.columns,
+      source: 'sheet',
+      lastUpdated: new Date().toISOString()
+    };
+
+    logInfo('User permissions loaded from sheet', {
+      campusCount: entry.campuses.length,
+      isFullAccess: isFullAccess,
+      role: entry.role
+    }, 'UserService.loadUserPermissionsFromSheet');
+
+    return permissions;
+  }
+
   /**
    * Load user permissions from the configuration mapping.
    * Retrieves permissions from the legacy email-to-campus mapping configuration.
@@ -172,7 +505,7 @@ class UserService {
    * @example
    * // Internal usage only
    * const permissions = this.loadUserPermissionsFromConfig('user@nisd.net');
-   * // Returns: { campuses: ['NAHS'], role: 'campus_user', fullAccess: false }
+   * // Returns: { campuses: ['NAHS'], role: 'coordinator', isFullAccess: false, ... }
    */
   loadUserPermissionsFromConfig(email) {
     try {
@@ -185,24 +518,31 @@ class UserService {
           campuses: [],
           hasAccess: false,
           isFullAccess: false,
-          role: 'none'
+          role: 'none',
+          capabilities: [],
+          source: 'legacy'
         };
       }
 
       const isFullAccess = campusList.length >= CONFIG.SECURITY.FULL_ACCESS_CAMPUS_COUNT;
+      const role = CONFIG.SECURITY.LEGACY_ROLE_ASSIGNMENTS[email] || ROLES.COORDINATOR;
       
       const permissions = {
         email: email,
         campuses: campusList,
         hasAccess: true,
         isFullAccess: isFullAccess,
-        role: isFullAccess ? 'administrator' : 'coordinator',
+        role: role,
+        capabilities: this.getRoleCapabilities(role),
+        columns: null,
+        source: 'legacy',
         lastUpdated: new Date().toISOString()
       };
 
       logInfo('User permissions loaded from config', {
         campusCount: campusList.length,
-        isFullAccess: isFullAccess
+        isFullAccess: isFullAccess,
+        role: role
       }, 'UserService.loadUserPermissionsFromConfig');
 
       return permissions;
@@ -274,17 +614,108 @@ class UserService {
   }
 
   /**
-   * Check if user has full administrative access to all campuses.
-   * Determines if the user has system-wide administrative privileges.
+   * Get the capabilities granted to a role.
+   * 
+   * @param {string} role - Role from ROLES
+   * @returns {Array<string>} Capabilities from CAPABILITIES (empty for unknown roles)
+   * 
+   * @example
+   * const capabilities = userService.getRoleCapabilities(ROLES.COORDINATOR);
+   * // Returns: ['view_data', 'export']
+   */
+  getRoleCapabilities(role) {
+    return [...(CONFIG.SECURITY.ROLE_CAPABILITIES[role] || [])];
+  }
+
+  /**
+   * Check whether a user's role grants a capability.
+   * Capabilities are derived from the role on every check, so changes to
+   * CONFIG.SECURITY.ROLE_CAPABILITIES apply without waiting for the permissions cache.
+   * 
+   * @param {string} email - User's email address
+   * @param {string} capability - Capability from CAPABILITIES
+   * @returns {boolean} True if the user has access and their role grants the capability
+   * 
+   * @example
+   * if (userService.hasCapability(email, CAPABILITIES.EXPORT)) {
+   *   console.log('User can export data');
+   * }
+   */
+  hasCapability(email, capability) {
+    try {
+      const permissions = this.getUserPermissions(email);
+      return permissions.hasAccess && this.getRoleCapabilities(permissions.role).includes(capability);
+    } catch (error) {
+      logError('Error checking capability', { error: error.message, email, capability }, 'UserService.hasCapability');
+      return false;
+    }
+  }
+
+  /**
+   * Authorize a user for a capability.
+   * Single authorization check used by the API functions; denied attempts are
+   * recorded as 'access_denied' user activity.
    * 
    * @param {string} email - User's email address
-   * @returns {boolean} True if user has full system access, false otherwise
+   * @param {string} capability - Capability from CAPABILITIES
+   * @returns {boolean} True if the user is allowed to proceed
+   * 
+   * @example
+   * if (!userService.authorize(email, CAPABILITIES.RUN_MIGRATION)) {
+   *   throw new Error('Unauthorized: Only administrators can perform school year migration');
+   * }
+   */
+  authorize(email, capability) {
+    const allowed = !!email && this.hasCapability(email, capability);
+
+    if (!allowed) {
+      logWarn('Authorization denied', { email, capability }, 'UserService.authorize');
+      if (email) {
+        this.logUserActivity(email, 'access_denied', { capability: capability, result: 'denied' });
+      }
+    }
+
+    return allowed;
+  }
+
+  /**
+   * Authorize a user for a recovery function that must work while the data spreadsheet
+   * is unreadable, such as emergencyRollback. When the permissions sheet cannot be read,
+   * the role comes from CONFIG.SECURITY.LEGACY_ROLE_ASSIGNMENTS instead.
+   * 
+   * @param {string} email - User's email address
+   * @param {string} capability - Capability from CAPABILITIES
+   * @returns {boolean} True if the user is allowed to proceed
+   */
+  authorizeRecovery(email, capability) {
+    try {
+      this.getPermissionsTable();
+    } catch (error) {
+      const permissions = this.loadUserPermissionsFromConfig(email);
+      const allowed = !!email && permissions.hasAccess && permissions.capabilities.includes(capability);
+      logWarn('Permissions sheet unreadable - authorizing from the legacy role mapping', {
+        email, capability, allowed, error: error.message
+      }, 'UserService.authorizeRecovery');
+      if (!allowed && email) {
+        this.logUserActivity(email, 'access_denied', { capability: capability, result: 'denied' });
+      }
+      return allowed;
+    }
+
+    return this.authorize(email, capability);
+  }
+
+  /**
+   * Check if user has full data access to all campuses.
+   * This describes data scope only; use authorize() for administrative checks.
+   * 
+   * @param {string} email - User's email address
+   * @returns {boolean} True if user can see every campus, false otherwise
    * 
    * @example
    * const userService = new UserService();
-   * const isAdmin = userService.hasFullAccess('admin@nisd.net');
-   * if (isAdmin) {
-   *   console.log('User has administrative privileges');
+   * if (userService.hasFullAccess('user@nisd.net')) {
+   *   console.log('User can see all campuses');
    * }
    */
   hasFullAccess(email) {
@@ -297,9 +728,36 @@ class UserService {
     }
   }
 
+  /**
+   * Get the COLUMN_SCHEMA headers a user may see.
+   * A COLUMNS entry in the permissions sheet replaces the role rules for that user;
+   * otherwise a column is visible when it lists no roles or includes the user's role.
+   * 
+   * @param {string} email - User's email address
+   * @returns {Array<string>} Visible schema headers, in schema order (empty without access)
+   * 
+   * @example
+   * const columns = userService.getVisibleColumns('user@nisd.net');
+   * // ['STUDENT NAME', 'STUDENT ID', 'GRADE', 'HOME CAMPUS', ...]
+   */
+  getVisibleColumns(email) {
+    const permissions = this.getUserPermissions(email);
+    if (!permissions.hasAccess) {
+      return [];
+    }
+
+    return CONFIG.SPREADSHEET.COLUMN_SCHEMA
+      .filter(column => permissions.columns ?
+        permissions.columns.includes(column.header) :
+        !column.roles || column.roles.includes(permissions.role))
+      .map(column => column.header);
+  }
+
   /**
    * Log user activity for audit and monitoring purposes.
    * Records user actions with timestamps and context for security auditing.
+   * Entries go to the application log and to the audit sheet via auditService;
+   * API functions must call auditService.flush() before returning.
    * 
    * @param {string} email - User's email address
    * @param {string} action - Action performed by the user
@@ -322,20 +780,37 @@ class UserService {
         timestamp: new Date().toISOString(),
         user: email,
         action: action,
+        campuses: this.getAuditCampuses(email),
         details: details,
-        sessionId: AppLogger.sessionId
+        sessionId: AppLogger.sessionId,
+        requestId: getRequestId()
       };
 
       logUserActivity(email, action, details);
-      
-      // @todo Future feature: create a separate audit log sheet to also write to
-      // this.writeToAuditLog(activityData);
+      auditService.record(activityData);
       
     } catch (error) {
       logError('Failed to log user activity', { error: error.message, email, action }, 'UserService.logUserActivity');
     }
   }
 
+  /**
+   * Get the campuses to record with an audit entry.
+   * Lookup failures (for example unknown domains) record no campuses.
+   * 
+   * @param {string} email - User's email address
+   * @returns {Array<string>} Campuses the user currently has access to
+   * 
+   * @private
+   */
+  getAuditCampuses(email) {
+    try {
+      return this.validateUserEmail(email) ? this.getUserPermissions(email).campuses : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
   /**
    * Clear user permissions cache for testing or when permissions change.
    * Removes cached permission data to force fresh retrieval on next access.
@@ -349,14 +824,26 @@ class UserService {
    */
   clearUserCache(email) {
     try {
-      const cacheKey = `${CONFIG.CACHE.PREFIX}permissions_${email}`;
-      this.cache.remove(cacheKey);
+      const cacheKey = this.getPermissionsCacheKey(email);
+      CacheUtils.removeLarge(cacheKey);
       logInfo('User cache cleared', { email }, 'UserService.clearUserCache');
     } catch (error) {
       logWarn('Failed to clear user cache', { error: error.message, email }, 'UserService.clearUserCache');
     }
   }
 
+  /**
+   * Build the permissions cache key for a user.
+   * The key includes the cache generation, so edits to the spreadsheet also
+   * refresh every user's cached permissions.
+   * @param {string} email - User's email address
+   * @returns {string} Cache key
+   * @private
+   */
+  getPermissionsCacheKey(email) {
+    return `${CONFIG.CACHE.PREFIX}permissions_${CacheUtils.getGeneration()}_${email}`;
+  }
+
   /**
    * Get comprehensive user information summary for debugging and monitoring.
    * Provides detailed user status including permissions, access rights, and validation status.
@@ -369,7 +856,10 @@ class UserService {
    * @returns {number} return.campusCount - Number of campuses user can access
    * @returns {boolean} return.isFullAccess - Whether user has full administrative access
    * @returns {string} return.role - User's role in the system
+   * @returns {Array<string>} return.capabilities - Capabilities granted by the role
    * @returns {Array<string>} return.campuses - List of accessible campus codes
+   * @returns {Array<string>} return.columns - Schema columns the user may see
+   * @returns {string} return.source - Where permissions came from ('sheet' or 'legacy')
    * @returns {string} [return.error] - Error message if summary retrieval fails
    * 
    * @example
@@ -388,7 +878,10 @@ class UserService {
         campusCount: permissions.campuses.length,
         isFullAccess: permissions.isFullAccess,
         role: permissions.role,
-        campuses: permissions.campuses
+        capabilities: this.getRoleCapabilities(permissions.role),
+        campuses: permissions.campuses,
+        columns: this.getVisibleColumns(email),
+        source: permissions.source
       };
     } catch (error) {
       logError('Error getting user summary', { error: error.message, email }, 'UserService.getUserSummary');
@@ -25,14 +25,16 @@
 const ErrorUtils = {
   /**
    * Create a standardized error response object.
-   * Generates consistent error responses with unique tracking IDs for debugging.
+   * The error ID is the current request ID (see AppLogger.beginRequest), so an ID
+   * reported by a user can be found in the logs and the audit log.
    * 
    * @param {string} message - Human-readable error message
    * @param {Error|null} [originalError=null] - Original error object if available
    * @param {string} [context=''] - Context where the error occurred
    * @returns {Object} Standardized error response object
    * @returns {boolean} return.success - Always false for error responses
-   * @returns {string} return.errorId - Unique error tracking identifier
+   * @returns {string} return.errorId - Error tracking identifier (the request ID)
+   * @returns {string} return.requestId - Request correlation ID
    * @returns {string} return.message - Error message
    * @returns {string} return.context - Error context
    * @returns {string} return.timestamp - ISO timestamp of error occurrence
@@ -46,10 +48,11 @@ const ErrorUtils = {
    * }
    */
   createErrorResponse(message, originalError = null, context = '') {
-    const errorId = Utilities.getUuid();
+    const errorId = getRequestId();
     const error = {
       success: false,
       errorId: errorId,
+      requestId: errorId,
       message: message,
       context: context,
       timestamp: new Date().toISOString(),
@@ -74,6 +77,7 @@ const ErrorUtils = {
    * @returns {boolean} return.success - Always true for success responses
    * @returns {string} return.message - Success message
    * @returns {*} return.data - Response data payload
+   * @returns {string} return.requestId - Request correlation ID
    * @returns {string} return.timestamp - ISO timestamp of response creation
    * 
    * @example
@@ -85,6 +89,7 @@ const ErrorUtils = {
       success: true,
       message: message,
       data: data,
+      requestId: getRequestId(),
       timestamp: new Date().toISOString()
     };
   },
@@ -293,6 +298,87 @@ const StringUtils = {
   }
 };
 
+/**
+ * Campus name matching, shared by the campus data slices and the user permissions sheet
+ */
+const CampusUtils = {
+  /** Campus names by getCampusKey(), built on first use */
+  campusLookup: null,
+
+  /**
+   * Map a campus value to its name in CONFIG.CAMPUSES.
+   * Case, surrounding or repeated spaces and curly apostrophes are ignored, and
+   * CONFIG.CAMPUS_ALIASES maps other spellings to a campus.
+   *
+   * @param {*} value - Campus cell value
+   * @returns {string|null} Campus name, or null if the value matches no campus
+   *
+   * @example
+   * CampusUtils.normalizeCampus(' o’connor ');  // "O'Connor"
+   * CampusUtils.normalizeCampus('OConnor');        // "O'Connor" (alias)
+   * CampusUtils.normalizeCampus('Nowhere');        // null
+   */
+  normalizeCampus(value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    return this.getCampusLookup()[this.getCampusKey(value)] || null;
+  },
+
+  /**
+   * Suggest the campus an unmatched value probably means, ignoring all spaces and punctuation.
+   * @param {*} value - Campus value that normalizeCampus() did not match
+   * @returns {string|null} Campus name to add as an alias or correct the sheet to, or null
+   */
+  suggestCampus(value) {
+    const loose = text => String(text).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const target = loose(value);
+    return target ? CONFIG.CAMPUSES.find(campus => loose(campus) === target) || null : null;
+  },
+
+  /**
+   * Comparison key for a campus value.
+   * @param {*} value - Campus value
+   * @returns {string} Upper-case value with straight apostrophes and single spaces, trimmed
+   * @private
+   */
+  getCampusKey(value) {
+    return String(value)
+      .replace(/[\u2018\u2019\u02BC\u0060\u00B4]/g, '\'')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toUpperCase();
+  },
+
+  /**
+   * Lookup of campus keys to campus names, from CONFIG.CAMPUSES and CONFIG.CAMPUS_ALIASES.
+   * Aliases naming an unknown campus are skipped with a warning.
+   * @returns {Object<string, string>} Campus names by getCampusKey()
+   * @private
+   */
+  getCampusLookup() {
+    if (this.campusLookup) {
+      return this.campusLookup;
+    }
+
+    const lookup = {};
+    CONFIG.CAMPUSES.forEach(campus => {
+      lookup[this.getCampusKey(campus)] = campus;
+    });
+    Object.keys(CONFIG.CAMPUS_ALIASES || {}).forEach(alias => {
+      const campus = CONFIG.CAMPUS_ALIASES[alias];
+      if (CONFIG.CAMPUSES.includes(campus)) {
+        lookup[this.getCampusKey(alias)] = campus;
+      } else {
+        logWarn('Campus alias names an unknown campus', { alias, campus }, 'CampusUtils.getCampusLookup');
+      }
+    });
+
+    this.campusLookup = lookup;
+    return lookup;
+  }
+};
+
 /**
  * Date and time utilities
  */
@@ -414,6 +500,9 @@ const PerformanceUtils = {
  * Cache utilities
  */
 const CacheUtils = {
+  /** Cache events counted during this request, written by flushMetrics() */
+  pendingMetrics: {},
+
   /**
    * Safely get value from cache
    * @param {string} key - Cache key
@@ -466,6 +555,270 @@ const CacheUtils = {
       logWarn('Cache clear failed', { error: error.message, key }, 'CacheUtils.safeClear');
       return false;
     }
+  },
+
+  /**
+   * Store a value of any size: the JSON is gzipped, base64-encoded and split across
+   * numbered chunk keys, with a manifest under `key` that is written last.
+   * Chunk keys include a per-write version, so readers never mix two writes.
+   * @param {string} key - Cache key for the manifest
+   * @param {*} value - JSON-serializable value
+   * @param {number} expirationInSeconds - Expiration time
+   * @param {string|null} [metric='default'] - Metrics bucket (see getMetrics), or null to skip metrics
+   * @returns {boolean} True if successful
+   */
+  putLarge(key, value, expirationInSeconds, metric = 'default') {
+    try {
+      const cache = CacheService.getScriptCache();
+      const json = JSON.stringify(value);
+      const compressed = Utilities.gzip(Utilities.newBlob(json, 'application/json'));
+      const encoded = Utilities.base64Encode(compressed.getBytes());
+
+      const version = Utilities.getUuid().slice(0, 8);
+      const chunks = {};
+      let count = 0;
+      for (let offset = 0; offset < encoded.length; offset += CONFIG.CACHE.CHUNK_SIZE) {
+        chunks[`${key}_${version}_${count}`] = encoded.slice(offset, offset + CONFIG.CACHE.CHUNK_SIZE);
+        count++;
+      }
+
+      const previous = this.getManifest(cache, key);
+      cache.putAll(chunks, expirationInSeconds);
+      cache.put(key, JSON.stringify({
+        version: version,
+        chunks: count,
+        size: json.length,
+        storedAt: new Date().toISOString()
+      }), expirationInSeconds);
+
+      if (previous && previous.version !== version) {
+        cache.removeAll(this.getChunkKeys(key, previous));
+      }
+
+      this.recordMetric(metric, 'writes');
+      logDebug('Large value cached', {
+        key: key,
+        chunks: count,
+        jsonSize: json.length,
+        storedSize: encoded.length
+      }, 'CacheUtils.putLarge');
+      return true;
+    } catch (error) {
+      this.recordMetric(metric, 'errors');
+      logWarn('Large cache put failed', { error: error.message, key }, 'CacheUtils.putLarge');
+      return false;
+    }
+  },
+
+  /**
+   * Read a value stored with putLarge.
+   * All chunks are fetched in one call; if any is missing the read counts as a miss.
+   * @param {string} key - Cache key of the manifest
+   * @param {string|null} [metric='default'] - Metrics bucket (see getMetrics), or null to skip metrics
+   * @returns {*} Cached value, or null on a miss
+   */
+  getLarge(key, metric = 'default') {
+    try {
+      const cache = CacheService.getScriptCache();
+      const manifest = this.getManifest(cache, key);
+      if (!manifest) {
+        this.recordMetric(metric, 'misses');
+        return null;
+      }
+
+      const chunkKeys = this.getChunkKeys(key, manifest);
+      const chunks = cache.getAll(chunkKeys);
+      if (chunkKeys.some(chunkKey => !chunks[chunkKey])) {
+        logDebug('Cached value incomplete - treating as miss', { key }, 'CacheUtils.getLarge');
+        this.recordMetric(metric, 'misses');
+        return null;
+      }
+
+      const encoded = chunkKeys.map(chunkKey => chunks[chunkKey]).join('');
+      const compressed = Utilities.newBlob(Utilities.base64Decode(encoded), 'application/x-gzip');
+      const value = JSON.parse(Utilities.ungzip(compressed).getDataAsString());
+
+      this.recordMetric(metric, 'hits');
+      return value;
+    } catch (error) {
+      this.recordMetric(metric, 'errors');
+      logWarn('Large cache get failed', { error: error.message, key }, 'CacheUtils.getLarge');
+      return null;
+    }
+  },
+
+  /**
+   * Remove a value stored with putLarge, including its chunks.
+   * @param {string} key - Cache key of the manifest
+   * @returns {boolean} True if successful
+   */
+  removeLarge(key) {
+    try {
+      const cache = CacheService.getScriptCache();
+      const manifest = this.getManifest(cache, key);
+      cache.removeAll(manifest ? [key, ...this.getChunkKeys(key, manifest)] : [key]);
+      return true;
+    } catch (error) {
+      logWarn('Large cache remove failed', { error: error.message, key }, 'CacheUtils.removeLarge');
+      return false;
+    }
+  },
+
+  /**
+   * Read and parse a putLarge manifest.
+   * @param {GoogleAppsScript.Cache.Cache} cache - Script cache
+   * @param {string} key - Cache key of the manifest
+   * @returns {Object|null} Manifest, or null if missing or unreadable
+   * @private
+   */
+  getManifest(cache, key) {
+    const raw = cache.get(key);
+    if (!raw) {
+      return null;
+    }
+    try {
+      const manifest = JSON.parse(raw);
+      return manifest && manifest.version && manifest.chunks > 0 ? manifest : null;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Build the chunk keys listed by a manifest.
+   * @param {string} key - Cache key of the manifest
+   * @param {Object} manifest - Manifest from getManifest
+   * @returns {Array<string>} Chunk keys in order
+   * @private
+   */
+  getChunkKeys(key, manifest) {
+    const keys = [];
+    for (let i = 0; i < manifest.chunks; i++) {
+      keys.push(`${key}_${manifest.version}_${i}`);
+    }
+    return keys;
+  },
+
+  /**
+   * Get the current cache generation.
+   * Shared cache keys include the generation, so bumping it makes every cached
+   * build unreachable at once without clearing keys one by one.
+   * @returns {string} Generation stored in Script Properties ('0' if never bumped)
+   */
+  getGeneration() {
+    try {
+      return PropertiesService.getScriptProperties().getProperty(CONFIG.CACHE.GENERATION_PROPERTY) || '0';
+    } catch (error) {
+      logWarn('Cache generation unavailable', { error: error.message }, 'CacheUtils.getGeneration');
+      return '0';
+    }
+  },
+
+  /**
+   * Move to a new cache generation.
+   * The generation is a base-36 timestamp, so concurrent bumps need no lock.
+   * @returns {string} New generation
+   */
+  bumpGeneration() {
+    const generation = Date.now().toString(36);
+    PropertiesService.getScriptProperties().setProperty(CONFIG.CACHE.GENERATION_PROPERTY, generation);
+    logDebug('Cache generation bumped', { generation }, 'CacheUtils.bumpGeneration');
+    return generation;
+  },
+
+  /**
+   * Count a cache event. Events are tallied in memory and written to the shared
+   * counters once per request by flushMetrics(), so cache reads do not each add a
+   * read-modify-write of the counters.
+   * @param {string|null} metric - Metrics bucket (e.g. 'campus', 'permissions'); null is ignored
+   * @param {string} event - 'hits', 'misses', 'writes' or 'errors'
+   */
+  recordMetric(metric, event) {
+    if (!metric) {
+      return;
+    }
+    const bucket = this.pendingMetrics[metric] = this.pendingMetrics[metric] || {};
+    bucket[event] = (bucket[event] || 0) + 1;
+  },
+
+  /**
+   * Add the events counted by recordMetric() to the shared counters in one write.
+   * Called by endRequest(). Counters are shared by all users through the script cache;
+   * updates are not locked, so the numbers are approximate under heavy load.
+   */
+  flushMetrics() {
+    const pending = this.pendingMetrics;
+    if (Object.keys(pending).length === 0) {
+      return;
+    }
+    this.pendingMetrics = {};
+    try {
+      const metrics = this.readMetrics();
+      Object.keys(pending).forEach(metric => {
+        const bucket = metrics.buckets[metric] || { hits: 0, misses: 0, writes: 0, errors: 0 };
+        Object.keys(pending[metric]).forEach(event => {
+          bucket[event] = (bucket[event] || 0) + pending[metric][event];
+        });
+        metrics.buckets[metric] = bucket;
+      });
+      CacheService.getScriptCache().put(this.getMetricsKey(), JSON.stringify(metrics), CONFIG.CACHE.METRICS_DURATION);
+    } catch (error) {
+      // Metrics must never break caching
+    }
+  },
+
+  /**
+   * Get cache hit/miss counters per bucket since `since`.
+   * @returns {Object} Metrics as { since, buckets: { name: { hits, misses, writes, errors, hitRate } } }
+   *
+   * @example
+   * const metrics = CacheUtils.getMetrics();
+   * console.log(`Data cache hit rate: ${metrics.buckets.data.hitRate}`);
+   */
+  getMetrics() {
+    this.flushMetrics();
+    const metrics = this.readMetrics();
+    Object.keys(metrics.buckets).forEach(name => {
+      const bucket = metrics.buckets[name];
+      const reads = bucket.hits + bucket.misses;
+      bucket.hitRate = reads > 0 ? Math.round((bucket.hits / reads) * 100) / 100 : null;
+    });
+    return metrics;
+  },
+
+  /**
+   * Read the shared counters without hit rates.
+   * @returns {Object} Metrics as { since, buckets }
+   * @private
+   */
+  readMetrics() {
+    try {
+      const raw = CacheService.getScriptCache().get(this.getMetricsKey());
+      if (raw) {
+        return JSON.parse(raw);
+      }
+    } catch (error) {
+      // Treat unreadable counters as empty
+    }
+    return { since: new Date().toISOString(), buckets: {} };
+  },
+
+  /**
+   * Reset cache metrics counters.
+   * @returns {boolean} True if successful
+   */
+  resetMetrics() {
+    this.pendingMetrics = {};
+    return this.safeClear(this.getMetricsKey());
+  },
+
+  /**
+   * Cache key holding the metrics counters.
+   * @returns {string} Cache key
+   * @private
+   */
+  getMetricsKey() {
+    return `${CONFIG.CACHE.PREFIX}cache_metrics`;
   }
 };
 
@@ -505,7 +858,8 @@ const DevUtils = {
         timezone: Session.getScriptTimeZone(),
         locale: Session.getActiveUserLocale(),
         timestamp: new Date().toISOString(),
-        sessionId: AppLogger.sessionId
+        sessionId: AppLogger.sessionId,
+        requestId: getRequestId()
       };
       
       logInfo('System information', info, 'DevUtils.logSystemInfo');
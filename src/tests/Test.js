@@ -228,6 +228,127 @@ testRunner.addTest('UserService email validation', () => {
   });
 });
 
+testRunner.addTest('UserService.parsePermissionRows - should parse and validate sheet rows', () => {
+  const table = userService.parsePermissionRows([
+    ['Email', 'Campuses', 'Role', 'Active'],
+    ['Jane.Doe@nisd.net', 'brandeis, Clark', 'coordinator', true],
+    ['john.roe@nisd.net', 'Clark, Atlantis', '', 'yes'],
+    ['', '', '', ''],
+    ['outsider@gmail.com', 'Clark', '', true],
+    ['jane.doe@nisd.net', 'Taft', '', true],
+    ['inactive.user@nisd.net', 'Taft', '', 'no'],
+    ['district.admin@nisd.net', 'ALL', '', 'maybe']
+  ]);
+
+  assertArrayEqual(table.users['jane.doe@nisd.net'].campuses, ['Brandeis', 'Clark']);
+  assertArrayEqual(table.users['john.roe@nisd.net'].campuses, ['Clark']);
+  assertFalse(table.users['inactive.user@nisd.net'].active);
+  assertFalse(!!table.users['outsider@gmail.com'], 'Should reject other domains');
+  assertFalse(!!table.users['district.admin@nisd.net'], 'Should reject invalid active flag');
+  assertArrayEqual(table.errors.map(error => error.row), [3, 5, 6, 8]);
+  assertEqual(table.users['john.roe@nisd.net'].role, CONFIG.SECURITY.DEFAULT_ROLE);
+});
+
+testRunner.addTest('UserService roles - should normalize roles and map capabilities', () => {
+  assertEqual(userService.normalizeRole('District Admin'), ROLES.DISTRICT_ADMIN);
+  assertEqual(userService.normalizeRole('technical-admin'), ROLES.TECHNICAL_ADMIN);
+  assertEqual(userService.normalizeRole(''), CONFIG.SECURITY.DEFAULT_ROLE);
+  assertEqual(userService.normalizeRole('superuser'), null);
+
+  assertTrue(userService.getRoleCapabilities(ROLES.VIEWER).includes(CAPABILITIES.VIEW_DATA));
+  assertFalse(userService.getRoleCapabilities(ROLES.VIEWER).includes(CAPABILITIES.EXPORT));
+  assertFalse(userService.getRoleCapabilities(ROLES.DISTRICT_ADMIN).includes(CAPABILITIES.RUN_MIGRATION));
+  assertTrue(userService.getRoleCapabilities(ROLES.TECHNICAL_ADMIN).includes(CAPABILITIES.RUN_MIGRATION));
+  assertArrayEqual(userService.getRoleCapabilities('none'), []);
+
+  const table = userService.parsePermissionRows([
+    ['EMAIL', 'CAMPUSES', 'ROLE'],
+    ['jane.doe@nisd.net', 'Clark', 'superuser']
+  ]);
+  assertEqual(table.users['jane.doe@nisd.net'].role, ROLES.VIEWER, 'Unknown roles fall back to viewer');
+  assertEqual(table.errors.length, 1);
+});
+
+testRunner.addTest('UserService.authorizeRecovery - should use the legacy roles when the permissions sheet is unreadable', () => {
+  const originalGetPermissionsTable = userService.getPermissionsTable;
+  try {
+    userService.getPermissionsTable = () => {
+      throw new Error('Spreadsheet not found');
+    };
+    assertTrue(userService.authorizeRecovery('alvaro.gomez@nisd.net', CAPABILITIES.RUN_MIGRATION));
+    assertTrue(userService.authorizeRecovery('linda.rodriguez@nisd.net', CAPABILITIES.RUN_MIGRATION));
+    assertFalse(userService.authorizeRecovery('belinda.myles@nisd.net', CAPABILITIES.RUN_MIGRATION));
+    assertFalse(userService.authorizeRecovery(null, CAPABILITIES.RUN_MIGRATION));
+  } finally {
+    userService.getPermissionsTable = originalGetPermissionsTable;
+  }
+});
+
+testRunner.addTest('UserService.parsePermissionRows - should require email and campuses headers', () => {
+  const table = userService.parsePermissionRows([['Email', 'Role'], ['jane.doe@nisd.net', 'viewer']]);
+  assertEqual(Object.keys(table.users).length, 0);
+  assertEqual(table.errors.length, 1);
+  assertEqual(table.errors[0].row, 1);
+});
+
+testRunner.addTest('UserService column rules - should apply role and per-user column lists', () => {
+  const table = userService.parsePermissionRows([
+    ['EMAIL', 'CAMPUSES', 'ROLE', 'COLUMNS'],
+    ['jane.doe@nisd.net', 'Clark', 'viewer', ''],
+    ['john.roe@nisd.net', 'Clark', 'viewer', 'home campus, Last ARD, SSN']
+  ]);
+  assertEqual(table.users['jane.doe@nisd.net'].columns, null);
+  assertArrayEqual(table.users['john.roe@nisd.net'].columns, ['HOME CAMPUS', 'LAST ARD']);
+  assertEqual(table.errors.length, 1, 'Unknown columns should be reported');
+
+  const originalGetUserPermissions = userService.getUserPermissions;
+  try {
+    userService.getUserPermissions = () => ({ hasAccess: true, role: ROLES.VIEWER, columns: null });
+    assertFalse(userService.getVisibleColumns('jane.doe@nisd.net').includes('LAST ARD'));
+    assertTrue(userService.getVisibleColumns('jane.doe@nisd.net').includes('HOME CAMPUS'));
+
+    userService.getUserPermissions = () => ({ hasAccess: true, role: ROLES.COORDINATOR, columns: null });
+    assertTrue(userService.getVisibleColumns('jane.doe@nisd.net').includes('LAST ARD'));
+
+    userService.getUserPermissions = () => ({ hasAccess: true, role: ROLES.VIEWER, columns: ['LAST ARD'] });
+    assertArrayEqual(userService.getVisibleColumns('john.roe@nisd.net'), ['LAST ARD']);
+  } finally {
+    userService.getUserPermissions = originalGetUserPermissions;
+  }
+});
+
+/**
+ * Tests for AuditService
+ */
+testRunner.addTest('AuditService.toRow - should build audit sheet rows', () => {
+  const row = auditService.toRow({
+    timestamp: '2025-09-02T15:00:00.000Z',
+    user: 'jane.doe@nisd.net',
+    action: 'access_denied',
+    campuses: ['Brandeis', 'Clark'],
+    details: { capability: 'export' },
+    sessionId: 'session-1'
+  });
+
+  assertEqual(row.length, CONFIG.AUDIT.HEADERS.length);
+  assertTrue(row[0] instanceof Date);
+  assertEqual(row[3], 'Brandeis, Clark');
+  assertEqual(row[4], '{"capability":"export"}');
+  assertEqual(row[6], 'denied');
+  assertEqual(auditService.toRow({ timestamp: new Date(), action: 'data_access', details: { result: 'error' } })[6], 'error');
+});
+
+testRunner.addTest('AuditService.parseFilterDate - should parse filter form dates', () => {
+  const start = auditService.parseFilterDate('2025-09-02', false);
+  const end = auditService.parseFilterDate('2025-09-02', true);
+
+  assertEqual(start.getDate(), 2);
+  assertEqual(start.getHours(), 0);
+  assertEqual(end.getHours(), 23);
+  assertEqual(auditService.parseFilterDate('', false), null);
+  assertEqual(auditService.parseFilterDate('09/02/2025', false), null);
+});
+
 /**
  * Tests for DataService logic (mock data)
  */
@@ -276,6 +397,606 @@ testRunner.addTest('Column removal simulation', () => {
   assertArrayEqual(result[2], ['6', '8', '10']);
 });
 
+testRunner.addTest('DataService.resolveColumnSchema - should select columns by header name', () => {
+  const mockData = [
+    ['NOTES', 'home campus ', 'STUDENT ID'],
+    ['private', 'Clark', '123']
+  ];
+  const schema = [
+    { header: 'STUDENT ID', label: 'ID' },
+    { header: 'HOME CAMPUS', required: true },
+    { header: 'GRADE' }
+  ];
+
+  const columns = dataService.resolveColumnSchema(mockData[0], schema);
+  const result = dataService.selectColumns(mockData, columns);
+
+  assertArrayEqual(result[0], ['ID', 'HOME CAMPUS']);
+  assertArrayEqual(result[1], ['123', 'Clark']);
+});
+
+testRunner.addTest('DataService.resolveColumnSchema - should refuse data without required columns', () => {
+  let threw = false;
+  try {
+    dataService.resolveColumnSchema(['STUDENT ID', 'NOTES'], [{ header: 'HOME CAMPUS', required: true }]);
+  } catch (error) {
+    threw = true;
+    assertTrue(error.message.includes('HOME CAMPUS'));
+  }
+  assertTrue(threw, 'Expected an error for a missing required column');
+});
+
+testRunner.addTest('DataService.buildCampusSlices - should split schema columns per campus', () => {
+  const rawData = [
+    ['NOTES', 'HOME CAMPUS', 'STUDENT ID', 'ENTRY DATE'],
+    ['private', 'Clark', 1, new Date(2025, 8, 1)],
+    ['private', 'Taft', 2, ''],
+    ['private', 'Clark', 3, '']
+  ];
+  const snapshot = dataService.buildCampusSlices(rawData);
+
+  assertFalse(snapshot.headers.includes('NOTES'));
+  assertEqual(snapshot.rowCount, 3);
+  assertEqual(Object.keys(snapshot.slices).sort().join(','), 'Clark,Taft');
+
+  const idIndex = snapshot.headers.indexOf('STUDENT ID') + 1;
+  assertEqual(snapshot.slices.Clark.map(row => row[0]).join(','), '1,3');
+  assertEqual(snapshot.slices.Clark.map(row => row[idIndex]).join(','), '1,3');
+  assertEqual(typeof snapshot.slices.Clark[0][snapshot.headers.indexOf('ENTRY DATE') + 1], 'string');
+
+  // Schema columns missing from the sheet are reported, not silently dropped
+  assertTrue(snapshot.quality.missingColumns.includes('LAST ARD'));
+  assertFalse(snapshot.quality.missingColumns.includes('STUDENT ID'));
+});
+
+testRunner.addTest('CampusUtils.normalizeCampus - should match campus spellings and report unmatched rows', () => {
+  assertEqual(CampusUtils.normalizeCampus(' o\u2019connor '), 'O\'Connor');
+  assertEqual(CampusUtils.normalizeCampus('OConnor'), 'O\'Connor');
+  assertEqual(CampusUtils.normalizeCampus('Health  Careers'), 'Health Careers');
+  assertEqual(CampusUtils.normalizeCampus('Nowhere'), null);
+  assertEqual(CampusUtils.normalizeCampus(''), null);
+
+  const rawData = [
+    ['HOME CAMPUS', 'STUDENT ID'],
+    ['O\'Connor ', 1],
+    ['Nowhere', 2],
+    ['OConnor', 3],
+    ['Taft', 4],
+    ['Nowhere', 5]
+  ];
+  const snapshot = dataService.buildCampusSlices(rawData);
+  const campusIndex = snapshot.headers.indexOf('HOME CAMPUS') + 1;
+
+  assertArrayEqual(snapshot.slices['O\'Connor'].map(row => row[campusIndex]), ['O\'Connor', 'O\'Connor']);
+  assertEqual(snapshot.slices.Nowhere.length, 2);
+  assertEqual(snapshot.quality.unmatchedRows, 2);
+  assertArrayEqual(snapshot.quality.unmatched, [{ value: 'Nowhere', rows: 2, sheetRows: [3, 6], suggestion: null }]);
+  assertEqual(snapshot.quality.normalized.length, 2);
+
+  // filterDataByCampuses matches normalized values too
+  const filtered = dataService.filterDataByCampuses(rawData, ['O\'Connor']);
+  assertArrayEqual(filtered.slice(1).map(row => row[1]), [1, 3]);
+});
+
+testRunner.addTest('DataService.queryData - should search, filter, sort and page on the server', () => {
+  const mockData = [
+    ['NAME', 'HOME CAMPUS', 'GRADE', 'ENTRY DATE'],
+    ['John Doe', 'Clark', '10', '09/02/25'],
+    ['Jane Smith', 'Clark', '9', '12/15/24'],
+    ['Bob Smith', 'Taft', '9', ''],
+    ['Ann Lee', 'clark', '9', '01/10/25']
+  ];
+
+  const byDate = dataService.queryData(mockData, { filters: { 'HOME CAMPUS': 'Clark' }, sort: [{ column: 'ENTRY DATE', direction: 'asc' }] });
+  assertEqual(byDate.matchingRecords, 3);
+  assertArrayEqual(byDate.rows.map(row => row[0]), ['Jane Smith', 'Ann Lee', 'John Doe']);
+
+  const multiSort = dataService.queryData(mockData, {
+    search: 'SMITH',
+    sort: [{ column: 'GRADE', direction: 'asc' }, { column: 'NAME', direction: 'desc' }]
+  });
+  assertArrayEqual(multiSort.rows.map(row => row[0]), ['Jane Smith', 'Bob Smith']);
+
+  const paged = dataService.queryData(mockData, { sort: [{ column: 'GRADE', direction: 'desc' }], page: 9, pageSize: 3 });
+  assertEqual(paged.page, 2);
+  assertEqual(paged.totalPages, 2);
+  assertEqual(paged.totalRecords, 4);
+  assertEqual(paged.rows.length, 1);
+
+  const capped = dataService.queryData(mockData, { pageSize: 100000 });
+  assertEqual(capped.pageSize, CONFIG.PAGINATION.MAX_PAGE_SIZE);
+});
+
+testRunner.addTest('DataService.searchData - should reject columns that are not visible', () => {
+  let threw = false;
+  try {
+    dataService.searchData([['NAME'], ['John Doe']], { sort: [{ column: 'SSN', direction: 'asc' }] });
+  } catch (error) {
+    threw = true;
+  }
+  assertTrue(threw, 'Sorting on an unknown column should fail');
+});
+
+testRunner.addTest('DataService.searchData - should keep only rows needing attention', () => {
+  const statuses = CONFIG.COMPLIANCE.STATUSES;
+  const data = [
+    ['STUDENT ID', 'COMPLIANCE'],
+    ['1', statuses.ON_TIME],
+    ['2', statuses.OVERDUE],
+    ['3', statuses.MISSING],
+    ['4', statuses.DUE_SOON]
+  ];
+  const result = dataService.searchData(data, { needsAttention: true });
+
+  assertEqual(result.slice(1).map(row => row[0]).join(','), '2,3,4');
+  assertThrows(() => dataService.searchData([['STUDENT ID'], ['1']], { needsAttention: true }));
+});
+
+testRunner.addTest('DataService.aggregateCounts - should count students by campus and group', () => {
+  const mockData = [
+    ['Name', 'HOME CAMPUS', 'GRADE'],
+    ['John Doe', 'Brandeis', '9'],
+    ['Jane Smith', 'Brandeis', '10'],
+    ['Bob Johnson', 'Brandeis', ''],
+    ['Ann Lee', 'Marshall', '9']
+  ];
+
+  const counts = dataService.aggregateCounts(mockData, ['Brandeis', 'Clark', 'Marshall'], ['GRADE', 'STATUS']);
+
+  assertEqual(counts.totalStudents, 4);
+  assertEqual(counts.byCampus.Brandeis, 3);
+  assertEqual(counts.byCampus.Clark, 0);
+  assertEqual(counts.groups.GRADE.total['9'], 2);
+  assertEqual(counts.groups.GRADE.total['(blank)'], 1);
+  assertEqual(counts.groups.GRADE.byCampus.Marshall['9'], 1);
+  assertArrayEqual(counts.missingColumns, ['STATUS']);
+  assertEqual(counts.newEntries, null);
+});
+
+testRunner.addTest('DataService.aggregateCounts - should count new entries this week and month', () => {
+  const now = new Date(2025, 8, 10); // Wednesday, September 10
+  const mockData = [
+    ['HOME CAMPUS', 'ENTRY DATE'],
+    ['Clark', new Date(2025, 8, 8)],  // this week
+    ['Clark', new Date(2025, 8, 2)],  // this month only
+    ['Taft', new Date(2025, 7, 29)],  // last month
+    ['Taft', '']
+  ];
+
+  const counts = dataService.aggregateCounts(mockData, ['Clark', 'Taft'], [], now);
+
+  assertEqual(counts.newEntries.thisWeek, 1);
+  assertEqual(counts.newEntries.thisMonth, 2);
+  assertEqual(counts.newEntries.byCampus.Clark.thisMonth, 2);
+  assertEqual(counts.newEntries.byCampus.Taft, undefined);
+});
+
+testRunner.addTest('DataService.invalidateCampusCache - should move every user to a new cache generation', () => {
+  // Stub the generation so the real one, shared by every user, is left alone
+  const getGeneration = CacheUtils.getGeneration;
+  const bumpGeneration = CacheUtils.bumpGeneration;
+  let generation = `test${Utilities.getUuid().replace(/-/g, '')}`;
+  CacheUtils.getGeneration = () => generation;
+  CacheUtils.bumpGeneration = () => {
+    generation = `${generation}x`;
+    return generation;
+  };
+
+  try {
+    const before = dataService.getCampusIndexKey();
+    dataService.invalidateCampusCache('test');
+    const after = dataService.getCampusIndexKey();
+
+    assertFalse(before === after);
+    assertTrue(after.endsWith(generation));
+    assertTrue(userService.getPermissionsCacheKey('user@nisd.net').includes(generation));
+  } finally {
+    CacheUtils.getGeneration = getGeneration;
+    CacheUtils.bumpGeneration = bumpGeneration;
+  }
+});
+
+/**
+ * Tests for ComplianceService
+ */
+testRunner.addTest('ComplianceService.appendComplianceColumns - should flag due dates and sharing deadlines', () => {
+  const statuses = CONFIG.COMPLIANCE.STATUSES;
+  const now = new Date(2025, 9, 1);
+  const data = complianceService.appendComplianceColumns([
+    ['ENTRY DATE', 'LAST ARD', 'DATA SHARED', 'IEP SHARED'],
+    [new Date(2025, 8, 26), new Date(2024, 9, 10), new Date(2025, 8, 29), ''],
+    [new Date(2025, 7, 1), new Date(2024, 8, 1), new Date(2025, 7, 30), new Date(2025, 7, 5)],
+    ['', '', '', '']
+  ], now);
+  const column = name => data[0].indexOf(name);
+
+  // ARD due 10/10/25: 9 days away; data shared on time; IEP not shared, due in 5 days
+  assertEqual(data[1][column('NEXT ARD DUE')], '10/10/25');
+  assertEqual(data[1][column('DAYS UNTIL ARD')], 9);
+  assertEqual(data[1][column('ARD STATUS')], statuses.DUE_SOON);
+  assertEqual(data[1][column('DATA SHARED STATUS')], statuses.ON_TIME);
+  assertEqual(data[1][column('IEP SHARED STATUS')], statuses.DUE_SOON);
+  assertEqual(data[1][column('COMPLIANCE')], statuses.DUE_SOON);
+
+  // ARD past due; data shared late
+  assertEqual(data[2][column('ARD STATUS')], statuses.OVERDUE);
+  assertEqual(data[2][column('DATA SHARED STATUS')], statuses.OVERDUE);
+  assertEqual(data[2][column('IEP SHARED STATUS')], statuses.ON_TIME);
+  assertEqual(data[2][column('COMPLIANCE')], statuses.OVERDUE);
+
+  // No dates at all
+  assertEqual(data[3][column('ARD STATUS')], statuses.MISSING);
+  assertEqual(data[3][column('COMPLIANCE')], statuses.MISSING);
+});
+
+/**
+ * Tests for TriggerService
+ */
+testRunner.addTest('TriggerService.isWithinSchoolHours - should only pre-warm on school days and hours', () => {
+  // 2025-09-08 is a Monday; dates are built in the script time zone
+  assertTrue(triggerService.isWithinSchoolHours(new Date(2025, 8, 8, CONFIG.TRIGGERS.SCHOOL_HOURS.START_HOUR, 0)));
+  assertFalse(triggerService.isWithinSchoolHours(new Date(2025, 8, 8, CONFIG.TRIGGERS.SCHOOL_HOURS.END_HOUR, 0)));
+  assertFalse(triggerService.isWithinSchoolHours(new Date(2025, 8, 7, 10, 0))); // Sunday
+  assertTrue(triggerService.runPrewarm(new Date(2025, 8, 7, 10, 0)).skipped);
+});
+
+testRunner.addTest('TriggerService.assertOwner - should refuse triggers installed by another user', () => {
+  // Unused handler name, so no real trigger or owner record is touched
+  const handler = `testHandler_${Utilities.getUuid().replace(/-/g, '')}`;
+  const properties = PropertiesService.getScriptProperties();
+  properties.setProperty(triggerService.getOwnerKey(handler), JSON.stringify({
+    installedBy: 'someone.else@nisd.net',
+    triggerId: 'test',
+    installedAt: new Date().toISOString()
+  }));
+
+  try {
+    assertEqual(triggerService.getOwner(handler).installedBy, 'someone.else@nisd.net');
+    [() => triggerService.assertOwner(handler), () => triggerService.removeTriggers(handler)].forEach(change => {
+      let threw = false;
+      try {
+        change();
+      } catch (error) {
+        threw = true;
+        assertTrue(error.message.includes('someone.else@nisd.net'));
+      }
+      assertTrue(threw, 'Expected an error for a trigger installed by another user');
+    });
+  } finally {
+    properties.deleteProperty(triggerService.getOwnerKey(handler));
+  }
+  assertEqual(triggerService.getOwner(handler), null);
+});
+
+/**
+ * Tests for DigestService
+ */
+testRunner.addTest('DigestService.buildSections - should list new entries, upcoming ARDs and missing shared items', () => {
+  const now = new Date(2025, 9, 1);
+  const data = complianceService.appendComplianceColumns([
+    ['STUDENT NAME', 'HOME CAMPUS', 'ENTRY DATE', 'LAST ARD', 'DATA SHARED', 'IEP SHARED'],
+    ['Ana', 'Brandeis', new Date(2025, 8, 29), new Date(2024, 9, 20), '', ''],
+    ['Ben', 'Brandeis', new Date(2025, 7, 1), new Date(2024, 9, 5), new Date(2025, 7, 5), new Date(2025, 7, 5)],
+    ['Cruz', 'Brandeis', new Date(2025, 7, 1), new Date(2024, 5, 1), new Date(2025, 7, 5), '']
+  ], now);
+  const allColumns = data[0];
+
+  const content = digestService.buildSections(data, allColumns, now);
+  assertEqual(content.counts.newEntries, 1);
+  assertEqual(content.sections.newEntries[0].student, 'Ana - Brandeis');
+  // Due 10/5 (4 days) before 10/20 (19 days); Cruz's ARD is already overdue
+  assertEqual(content.sections.upcomingArds.map(item => item.student).join(','), 'Ben - Brandeis,Ana - Brandeis');
+  assertEqual(content.sections.upcomingArds[0].days, 4);
+  assertEqual(content.counts.missingShared, 2);
+  assertEqual(content.sections.missingShared[1].missing.join(','), 'IEP SHARED');
+  assertEqual(content.counts.total, 5);
+
+  // Sections built from hidden columns are left out
+  const limited = digestService.buildSections(data, ['STUDENT NAME', 'HOME CAMPUS', 'ENTRY DATE'], now);
+  assertEqual(Object.keys(limited.sections).join(','), 'newEntries');
+  assertEqual(limited.counts.total, 1);
+});
+
+/**
+ * Tests for ConfigStore and school year migration
+ */
+
+/**
+ * Create a settings store backed by in-memory properties, so tests never touch
+ * the deployed project's Script Properties. Settings it saves are still applied
+ * to CONFIG for this execution; call configStore.load(true) afterwards.
+ * @param {Object} [stored={}] - Initial properties keyed by property name
+ * @returns {ConfigStore} Store using the Config.js defaults
+ */
+function createTestConfigStore(stored = {}) {
+  const values = Object.assign({}, stored);
+  const store = new ConfigStore({
+    getProperty: name => (name in values ? values[name] : null),
+    setProperties: properties => { Object.assign(values, properties); }
+  });
+  configStore.load();
+  store.defaults = configStore.defaults;
+  return store;
+}
+testRunner.addTest('ConfigStore.validate - should normalize setting values and reject invalid ones', () => {
+  const valid = configStore.validate({
+    'SPREADSHEET.SPREADSHEET_ID': 'https://docs.google.com/spreadsheets/d/1AbcdefghijklmnopqrstuvwxyZ_-123/edit#gid=0',
+    'SPREADSHEET.DATE_COLUMNS': ' ENTRY DATE, LAST ARD,,ENTRY DATE ',
+    'CACHE.DATA_CACHE_DURATION': '300',
+    'CONTACTS.TEACHER.email': ' Linda.Rodriguez@nisd.net ',
+    'CONTACTS.DEVELOPER.office': '',
+    'SPREADSHEET.SHEET_NAME': null
+  });
+  assertEqual(valid.errors.length, 0);
+  assertEqual(valid.values['SPREADSHEET.SPREADSHEET_ID'], '1AbcdefghijklmnopqrstuvwxyZ_-123');
+  assertArrayEqual(valid.values['SPREADSHEET.DATE_COLUMNS'], ['ENTRY DATE', 'LAST ARD']);
+  assertEqual(valid.values['CACHE.DATA_CACHE_DURATION'], 300);
+  assertEqual(valid.values['CONTACTS.TEACHER.email'], 'linda.rodriguez@nisd.net');
+  assertEqual(valid.values['CONTACTS.DEVELOPER.office'], '');
+  assertEqual(valid.values['SPREADSHEET.SHEET_NAME'], null);
+
+  const invalid = configStore.validate({
+    'SPREADSHEET.SPREADSHEET_ID': 'not an id',
+    'CACHE.DATA_CACHE_DURATION': 99999,
+    'CONTACTS.TEACHER.name': '  ',
+    'SECURITY.ALLOWED_DOMAIN': '@example.com'
+  });
+  assertEqual(invalid.errors.length, 4);
+});
+
+testRunner.addTest('ConfigStore.save - should version, apply and restore runtime settings', () => {
+  const store = createTestConfigStore();
+
+  try {
+    const defaultDuration = store.defaults['CACHE.DATA_CACHE_DURATION'];
+
+    const first = store.save({ 'CACHE.DATA_CACHE_DURATION': 300 }, { expectedVersion: 0, email: 'admin@nisd.net', ledger: false });
+    assertEqual(first.version, 1);
+    assertArrayEqual(first.changed, ['CACHE.DATA_CACHE_DURATION']);
+    assertEqual(CONFIG.CACHE.DATA_CACHE_DURATION, 300);
+
+    // Saving against an old version fails; saving the same values creates no version
+    assertThrows(() => store.save({ 'CACHE.DATA_CACHE_DURATION': 600 }, { expectedVersion: 0, ledger: false }));
+    assertEqual(store.save({ 'CACHE.DATA_CACHE_DURATION': '300' }, { ledger: false }).changed.length, 0);
+
+    const second = store.save({ 'CONTACTS.DEVELOPER.office': '' }, { expectedVersion: 1, ledger: false });
+    assertEqual(second.version, 2);
+    assertEqual(store.getSettings().history[0].version, 1);
+
+    const restored = store.restore(0, { expectedVersion: 2, ledger: false });
+    assertEqual(restored.version, 3);
+    assertEqual(CONFIG.CACHE.DATA_CACHE_DURATION, defaultDuration);
+    assertEqual(Object.keys(store.load(true).values).length, 0);
+  } finally {
+    configStore.load(true);
+  }
+});
+
+testRunner.addTest('resolveRollbackVersion - should find earlier recorded configurations', () => {
+  const newId = '1NewSchoolYearSpreadsheetId_2026';
+  const store = createTestConfigStore({
+    [CONFIG.SETTINGS.PROPERTY]: JSON.stringify({
+      version: 3, values: { 'SPREADSHEET.SPREADSHEET_ID': newId, 'CACHE.DATA_CACHE_DURATION': 60 }
+    }),
+    [CONFIG.SETTINGS.HISTORY_PROPERTY]: JSON.stringify([
+      { version: 2, values: { 'SPREADSHEET.SPREADSHEET_ID': newId } },
+      { version: 1, values: { 'CACHE.DATA_CACHE_DURATION': 60 } }
+    ])
+  });
+  const defaultId = store.defaults['SPREADSHEET.SPREADSHEET_ID'];
+
+  try {
+    store.load(true);
+
+    assertEqual(resolveRollbackVersion(undefined, store), 2);
+    assertEqual(resolveRollbackVersion('1', store), 1);
+    assertEqual(resolveRollbackVersion(0, store), 0);
+    assertEqual(resolveRollbackVersion(defaultId, store), 1);
+    assertEqual(resolveRollbackVersion(newId, store), 2);
+    assertEqual(store.getVersionValue(1, 'CACHE.DATA_CACHE_DURATION'), 60);
+    assertThrows(() => resolveRollbackVersion(7, store));
+    assertThrows(() => resolveRollbackVersion('1UnknownSpreadsheetId_000000000', store));
+  } finally {
+    configStore.load(true);
+  }
+});
+
+testRunner.addTest('resolveRollbackVersion - should roll back to the defaults after the first save', () => {
+  const store = createTestConfigStore();
+
+  try {
+    // Nothing saved yet, so there is nothing to roll back to
+    let threw = false;
+    try {
+      resolveRollbackVersion(undefined, store);
+    } catch (error) {
+      threw = true;
+    }
+    assertTrue(threw, 'Expected an error without a saved configuration');
+
+    store.save({ 'CACHE.DATA_CACHE_DURATION': 300 }, { expectedVersion: 0, ledger: false });
+    assertEqual(store.getHistory().length, 0);
+    assertEqual(resolveRollbackVersion(undefined, store), 0);
+
+    const restored = store.restore(resolveRollbackVersion(undefined, store), { expectedVersion: 1, ledger: false });
+    assertEqual(restored.version, 2);
+    assertEqual(CONFIG.CACHE.DATA_CACHE_DURATION, store.defaults['CACHE.DATA_CACHE_DURATION']);
+  } finally {
+    configStore.load(true);
+  }
+});
+
+testRunner.addTest('compareSheetSchemas - should diff headers and propose corrected settings', () => {
+  const campusColumn = CONFIG.SPREADSHEET.CAMPUS_COLUMN;
+  const current = ['STUDENT NAME', 'STUDENT ID', campusColumn, 'LAST ARD', 'NOTES', 'GRADE'];
+  const next = ['STUDENT ID', 'student name ', 'CAMPUS', 'LAST ARD DATE', 'GRADE', 'COUNSELOR'];
+  const diff = compareSheetSchemas(current, next, { Clark: 10, 'Taft ': 3, 'O.Connor': 2, Nowhere: 1 });
+
+  assertArrayEqual(diff.added, ['COUNSELOR']);
+  assertArrayEqual(diff.removed, ['NOTES']);
+  assertArrayEqual(diff.renamed.map(pair => pair.to), ['CAMPUS', 'LAST ARD DATE']);
+  assertArrayEqual(diff.reordered, [{ header: 'STUDENT ID', from: 2, to: 1 }]);
+  assertFalse(diff.campusColumn.found);
+  assertEqual(diff.proposedSettings['SPREADSHEET.CAMPUS_COLUMN'], 'CAMPUS');
+  assertTrue(diff.hiddenColumns.includes('COUNSELOR'));
+  assertArrayEqual(diff.unknownCampuses, [
+    { value: 'O.Connor', rows: 2, suggestion: 'O\'Connor' },
+    { value: 'Nowhere', rows: 1, suggestion: null }
+  ]);
+
+  // No date column found: nothing is proposed for them, since an empty list cannot be saved
+  const noDates = compareSheetSchemas(current, ['STUDENT NAME', 'STUDENT ID', campusColumn, 'GRADE'], {});
+  assertEqual(noDates.proposedSettings, null);
+  assertFalse(noDates.dateColumnsValid);
+  assertTrue(noDates.warnings.some(warning => warning.includes('None of the date columns')));
+
+  // Headers differing only in case or spacing still match
+  const same = compareSheetSchemas(current, current.map(header => ` ${header.toLowerCase()}`), {});
+  assertEqual(same.renamed.length + same.added.length + same.removed.length + same.reordered.length, 0);
+
+  assertEqual(headerSimilarity('IEP SHARED', 'IEP SHARED DATE'), 0.8);
+  assertTrue(headerSimilarity('DATA SHARED', 'IEP SHARED') < CONFIG.MIGRATION.RENAME_SIMILARITY);
+});
+
+testRunner.addTest('MigrationLedger.toRow - should round-trip ledger entries through sheet rows', () => {
+  const compatibility = { score: 80, maxScore: 100, summary: 'Compatibility Score: 80/100', warnings: ['Missing date column'] };
+  const row = migrationLedger.toRow({
+    id: 'MIG_20250908143000_abc123',
+    type: 'migration',
+    user: 'admin@nisd.net',
+    previous: { spreadsheetId: '1OldSpreadsheetId_2025', sheetName: 'CURRENT CASELOAD' },
+    next: { spreadsheetId: '1NewSpreadsheetId_2026', sheetName: 'CASELOAD 2026' },
+    settingsVersion: 4,
+    compatibility: compatibility,
+    outcome: 'applied',
+    details: { warnings: [] }
+  });
+  assertEqual(row.length, CONFIG.MIGRATION.HISTORY_HEADERS.length);
+
+  const entry = migrationLedger.fromRow(row);
+  assertEqual(entry.id, 'MIG_20250908143000_abc123');
+  assertEqual(entry.type, 'migration');
+  assertEqual(entry.previousSpreadsheetId, '1OldSpreadsheetId_2025');
+  assertEqual(entry.newSheetName, 'CASELOAD 2026');
+  assertEqual(entry.settingsVersion, 4);
+  assertEqual(entry.compatibility, 'Compatibility Score: 80/100');
+  assertArrayEqual(entry.report, compatibility);
+  assertEqual(entry.error, '');
+
+  const failed = migrationLedger.fromRow(migrationLedger.toRow({ id: 'MIG_1', type: 'validation', outcome: 'failed', error: 'No access' }));
+  assertEqual(failed.settingsVersion, null);
+  assertEqual(failed.report, null);
+  assertEqual(failed.error, 'No access');
+  assertEqual(migrationLedger.fromRow(['', 'MIG_2']), null);
+  assertTrue(/^MIG_\d{14}_[a-z0-9]{6}$/.test(migrationLedger.generateId()));
+});
+
+/**
+ * Tests for ApplicationLogger
+ */
+testRunner.addTest('ApplicationLogger.getSettings - should read the level and format from Script Properties', () => {
+  const properties = PropertiesService.getScriptProperties();
+  const saved = properties.getProperties();
+  const restore = name => (saved[name] === undefined ? properties.deleteProperty(name) : properties.setProperty(name, saved[name]));
+
+  try {
+    properties.setProperty(CONFIG.LOGGING.LEVEL_PROPERTY, 'warn');
+    properties.setProperty(CONFIG.LOGGING.FORMAT_PROPERTY, 'JSON');
+    const settings = AppLogger.refreshSettings();
+    assertEqual(settings.level, LogLevel.WARN);
+    assertEqual(settings.format, 'json');
+
+    properties.setProperty(CONFIG.LOGGING.LEVEL_PROPERTY, 'VERBOSE');
+    properties.setProperty(CONFIG.LOGGING.FORMAT_PROPERTY, 'xml');
+    const fallback = AppLogger.refreshSettings();
+    assertEqual(fallback.levelName, CONFIG.LOGGING.DEFAULT_LEVEL);
+    assertEqual(fallback.format, 'text');
+
+    const payload = AppLogger.buildPayload(LogLevel.ERROR, 'Failed', { id: 1 }, 'Test');
+    assertEqual(payload.level, 'ERROR');
+    assertEqual(payload.context, 'Test');
+    assertEqual(payload.sessionId, AppLogger.sessionId);
+    assertEqual(payload.data.id, 1);
+  } finally {
+    restore(CONFIG.LOGGING.LEVEL_PROPERTY);
+    restore(CONFIG.LOGGING.FORMAT_PROPERTY);
+    AppLogger.refreshSettings();
+  }
+});
+
+testRunner.addTest('ApplicationLogger.beginRequest - should share one correlation ID across a request', () => {
+  const requestId = beginRequest('outerTest');
+  try {
+    assertTrue(/^REQ_\d{14}_[a-z0-9]{6}$/.test(requestId));
+    assertEqual(beginRequest('innerTest'), requestId);
+    endRequest();
+
+    assertEqual(getRequestId(), requestId);
+    assertEqual(ErrorUtils.createErrorResponse('Test error').errorId, requestId);
+    assertEqual(ErrorUtils.createSuccessResponse(null).requestId, requestId);
+    assertEqual(auditService.toRow({ timestamp: new Date(), action: 'data_access', requestId: requestId })[7], requestId);
+  } finally {
+    endRequest();
+  }
+  assertFalse(beginRequest('nextTest') === requestId);
+  endRequest();
+});
+
+testRunner.addTest('ApplicationLogger.redact - should remove emails, student fields and sheet rows', () => {
+  const redacted = AppLogger.redact({
+    email: 'Jane.Doe@nisd.net',
+    note: 'Sent to jane.doe@nisd.net',
+    studentName: 'Ana Lopez',
+    student_id: 12345,
+    campus: 'Clark',
+    rows: [['STUDENT NAME'], ['Ana Lopez']]
+  });
+
+  assertFalse(JSON.stringify(redacted).includes('jane.doe'));
+  assertTrue(redacted.email.endsWith('@nisd.net'));
+  assertEqual(redacted.note, `Sent to ${redacted.email}`); // same email, same hash
+  assertEqual(redacted.studentName, CONFIG.PRIVACY.MASK);
+  assertEqual(redacted.student_id, CONFIG.PRIVACY.MASK);
+  assertEqual(redacted.campus, 'Clark');
+  assertEqual(redacted.rows, '[2 rows redacted]');
+  assertEqual(AppLogger.redactText('No email here'), 'No email here');
+});
+
+testRunner.addTest('ApplicationLogger.maskRows - should mask student columns in sample rows', () => {
+  const masked = AppLogger.maskRows([
+    ['STUDENT NAME', 'STUDENT ID', 'HOME CAMPUS', 'CONTACT'],
+    ['Ana Lopez', 12345, 'Clark', 'parent@example.com'],
+    ['', '', 'Taft', '']
+  ]);
+
+  assertEqual(masked[0].join(','), 'STUDENT NAME,STUDENT ID,HOME CAMPUS,CONTACT');
+  assertEqual(masked[1][0], CONFIG.PRIVACY.MASK);
+  assertEqual(masked[1][1], CONFIG.PRIVACY.MASK);
+  assertEqual(masked[1][2], 'Clark');
+  assertFalse(masked[1][3].includes('parent'));
+  assertEqual(masked[2][0], '');
+});
+
+testRunner.addTest('ApplicationLogger.acquireAlertSlot - should send one alert per repeated error', () => {
+  // In-memory cache, so the production throttle and hourly count are left alone
+  const values = {};
+  const cache = {
+    get: key => (key in values ? values[key] : null),
+    put: (key, value) => { values[key] = value; }
+  };
+  assertTrue(AppLogger.acquireAlertSlot('Test', 'Repeated error', cache));
+  assertFalse(AppLogger.acquireAlertSlot('Test', 'Repeated error', cache));
+
+  // The hourly cap applies across different errors
+  for (let i = 1; i < CONFIG.ALERTS.MAX_EMAILS_PER_HOUR; i++) {
+    assertTrue(AppLogger.acquireAlertSlot('Test', `Error ${i}`, cache));
+  }
+  assertFalse(AppLogger.acquireAlertSlot('Test', 'One error too many', cache));
+
+  assertEqual(AppLogger.formatAlertData({ a: 1 }), '{"a":1}');
+  assertEqual(AppLogger.formatAlertData(null), '');
+});
+
 /**
  * Performance tests
  */
@@ -310,6 +1031,42 @@ testRunner.addTest('Cache simulation', () => {
   assertFalse(mockCache.has(key));
 });
 
+testRunner.addTest('CacheUtils.putLarge - should round-trip chunked values and miss on a lost chunk', () => {
+  const key = `${CONFIG.CACHE.PREFIX}test_${Utilities.getUuid()}`;
+  // Random IDs barely compress, so this payload needs several chunks
+  const value = { rows: [] };
+  for (let i = 0; i < 5000; i++) {
+    value.rows.push([i, Utilities.getUuid()]);
+  }
+
+  try {
+    assertTrue(CacheUtils.putLarge(key, value, 60, 'test'));
+    const manifest = JSON.parse(CacheService.getScriptCache().get(key));
+    assertTrue(manifest.chunks > 1);
+    assertEqual(JSON.stringify(CacheUtils.getLarge(key, 'test')), JSON.stringify(value));
+
+    CacheService.getScriptCache().remove(`${key}_${manifest.version}_1`);
+    assertEqual(CacheUtils.getLarge(key, 'test'), null);
+  } finally {
+    CacheUtils.removeLarge(key);
+  }
+});
+
+testRunner.addTest('CacheUtils.recordMetric - should count events in memory until the request ends', () => {
+  const previous = CacheUtils.pendingMetrics;
+  CacheUtils.pendingMetrics = {};
+  try {
+    CacheUtils.recordMetric('test', 'hits');
+    CacheUtils.recordMetric('test', 'hits');
+    CacheUtils.recordMetric('test', 'misses');
+    CacheUtils.recordMetric(null, 'hits');
+    assertArrayEqual(CacheUtils.pendingMetrics, { test: { hits: 2, misses: 1 } });
+  } finally {
+    // Drop the test events so they never reach the shared counters
+    CacheUtils.pendingMetrics = previous;
+  }
+});
+
 /**
  * Integration test simulation
  */